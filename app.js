@@ -4,33 +4,83 @@ class BarcodeScanner {
         this.stream = null;
         this.currentCamera = 'environment';
         this.flashEnabled = false;
-        this.codeReader = null;
-        this.detectionHistory = [];
+        this.decoder = null;
         this.lastDetectedCode = null;
         this.detectionCount = 0;
         this.scanStartTime = 0;
         this.frameCount = 0;
         this.debugMode = false;
         
-        // Settings with real detection requirements
-        this.settings = this.loadSettings() || {
-            audioFeedback: true,
-            autoSearch: true,
-            requireMultipleDetections: true,
-            minDetections: 2,
-            detectionTimeout: 2000,
-            formats: {
-                UPC: true,
-                EAN: true,
-                Code128: true,
-                Code39: true,
-                QR: true,
-                DataMatrix: true
-            }
+        // Decode pipeline - one frame in flight at a time
+        this.decodeInFlight = false;
+        this.decodeLatencies = [];
+        this.roiMisses = 0;
+        this.lastDecodeRegion = null;
+        
+        // Decoders draw into this scratch canvas; scannerCanvas is the visible overlay
+        this.scratchCanvas = document.createElement('canvas');
+        this.liveDetections = new Map();
+        
+        // Optional clean-up passes for hard labels, interleaved with raw frames
+        this.preprocessCanvas = document.createElement('canvas');
+        this.preprocessFrame = 0;
+        this.preprocessHits = {};
+        this.lastPreprocessHit = null;
+        
+        // Settings format keys mapped to the canonical format names they enable
+        this.formatMap = {
+            UPC: ['UPC-A', 'UPC-E'],
+            EAN: ['EAN-13', 'EAN-8'],
+            Code128: ['Code-128'],
+            Code39: ['Code-39'],
+            QR: ['QR Code'],
+            DataMatrix: ['Data Matrix'],
+            ITF: ['ITF'],
+            Codabar: ['Codabar'],
+            PDF417: ['PDF417'],
+            Aztec: ['Aztec']
         };
         
-        this.scanHistory = this.loadHistory() || [];
-        this.supportedFormats = ['UPC-A', 'UPC-E', 'EAN-13', 'EAN-8', 'Code-128', 'Code-39', 'QR Code', 'Data Matrix', 'ITF', 'Codabar'];
+        // Capture sizes offered in Settings; the camera picks the nearest it supports
+        this.resolutionPresets = {
+            '480p': { width: 640, height: 480 },
+            '720p': { width: 1280, height: 720 },
+            '1080p': { width: 1920, height: 1080 },
+            '4k': { width: 3840, height: 2160 }
+        };
+        this.cameraDevices = [];
+        
+        // Product lookup sources, queried in the order chosen in Settings
+        this.productProviders = createDefaultProductProviders();
+        
+        // Offline product cache and lookups waiting for a connection
+        this.productCache = new ProductCache();
+        this.lookupQueue = new LookupQueue();
+        this.processingLookupQueue = false;
+        
+        // Settings with real detection requirements
+        this.settings = this.mergeSettings(this.getDefaultSettings(), this.loadSettings());
+        
+        // Decides when repeated reads of a code count as a scan
+        this.confirmation = new ConfirmationTracker(this.settings.confirmationPolicy);
+        
+        // Scan history lives in IndexedDB; loaded in initializeApp()
+        this.historyStore = new HistoryStore();
+        this.scanHistory = [];
+        this.historyFilters = { query: '', format: '', from: '', to: '', collapseDuplicates: true };
+        this.historySelection = new Set();
+        
+        // Scans pushed to the user's own endpoint, via a persistent outbox
+        this.webhook = new WebhookDispatcher(() => this.getWebhookConfig(), () => this.updateWebhookLog());
+        
+        // USB/Bluetooth scanners that type codes like a keyboard
+        this.keyboardWedge = new KeyboardWedge(() => this.getWedgeOptions(), (scan) => this.handleWedgeScan(scan));
+        
+        // Continuous / batch scanning for stock counts
+        this.batchMode = false;
+        this.batchSession = this.loadBatchSession();
+        this.batchCooldowns = new Map();
+        this.supportedFormats = ['UPC-A', 'UPC-E', 'EAN-13', 'EAN-8', 'Code-128', 'Code-39', 'QR Code', 'Data Matrix', 'ITF', 'Codabar', 'PDF417', 'Aztec'];
         this.audioContext = null;
         this.beepBuffer = null;
         this.cameraAvailable = false;
@@ -43,6 +93,74 @@ class BarcodeScanner {
         }, 100);
     }
 
+    getDefaultSettings() {
+        const formats = {};
+        Object.keys(this.formatMap).forEach(key => {
+            formats[key] = true;
+        });
+        
+        return {
+            audioFeedback: true,
+            autoSearch: true,
+            confirmationPolicy: { ...DEFAULT_CONFIRMATION_POLICY },
+            multiCode: false,
+            code39CheckDigit: false,
+            roiShape: 'square',
+            roiFallbackMisses: 15,
+            batchCooldown: 3000,
+            linkAllowList: [],
+            linkDenyList: [],
+            providerOrder: this.productProviders.list().map(provider => provider.id),
+            providerEnabled: {},
+            providerTimeouts: {},
+            customProviderUrl: '',
+            productCacheDays: 7,
+            historyMaxEntries: 5000,
+            historyRetentionDays: 0,
+            captureLocation: false,
+            exportFormat: 'csv',
+            exportDelimiter: 'comma',
+            exportColumns: DEFAULT_EXPORT_COLUMNS,
+            customFields: [],
+            webhookOnScan: false,
+            webhookOnBatch: false,
+            webhookUrl: '',
+            webhookHeaders: '',
+            webhookTemplate: '',
+            wedgeEnabled: false,
+            wedgeMaxKeyInterval: 30,
+            wedgeMinLength: 4,
+            wedgePrefix: '',
+            wedgeSuffix: '',
+            cameraDeviceId: '',
+            cameraResolution: '720p',
+            preprocessEnabled: false,
+            preprocessPasses: Object.fromEntries(PREPROCESS_SETTINGS.map(key => [key, true])),
+            formats
+        };
+    }
+
+    mergeSettings(defaults, saved) {
+        // Saved settings from older versions may be missing newer keys
+        if (!saved) return defaults;
+        
+        // Before the policy editor, unticking "require multiple detections" meant one read
+        const confirmationPolicy = saved.confirmationPolicy || {
+            ...defaults.confirmationPolicy,
+            requiredMatches: saved.requireMultipleDetections === false ? 1 : defaults.confirmationPolicy.requiredMatches
+        };
+        
+        return {
+            ...defaults,
+            ...saved,
+            formats: { ...defaults.formats, ...(saved.formats || {}) },
+            preprocessPasses: { ...defaults.preprocessPasses, ...(saved.preprocessPasses || {}) },
+            confirmationPolicy: normalizeConfirmationPolicy(confirmationPolicy),
+            providerEnabled: { ...defaults.providerEnabled, ...(saved.providerEnabled || {}) },
+            providerTimeouts: { ...defaults.providerTimeouts, ...(saved.providerTimeouts || {}) }
+        };
+    }
+
     loadSettings() {
         try {
             const settings = localStorage.getItem('scannerSettings');
@@ -61,29 +179,67 @@ class BarcodeScanner {
         }
     }
 
-    loadHistory() {
+    async loadHistory() {
+        this.scanHistory = await this.historyStore.getAll();
+        console.log(`Loaded ${this.scanHistory.length} history entries`);
+        this.pruneHistory();
+    }
+
+    saveHistory(entries) {
+        return this.historyStore.putAll([].concat(entries));
+    }
+
+    pruneHistory() {
+        const expired = HistoryStore.selectExpired(this.scanHistory, {
+            maxEntries: this.settings.historyMaxEntries,
+            maxDays: this.settings.historyRetentionDays
+        });
+        if (expired.length === 0) return;
+        
+        const ids = new Set(expired.map(entry => entry.id));
+        this.scanHistory = this.scanHistory.filter(entry => !ids.has(entry.id));
+        this.historyStore.delete([...ids]);
+        console.log(`Pruned ${ids.size} history entries`);
+    }
+
+    loadBatchSession() {
         try {
-            const history = localStorage.getItem('scanHistory');
-            return history ? JSON.parse(history) : null;
+            const session = localStorage.getItem('batchSession');
+            return session ? JSON.parse(session) : null;
         } catch (error) {
-            console.warn('Could not load history:', error);
+            console.warn('Could not load batch session:', error);
             return null;
         }
     }
 
-    saveHistory() {
+    saveBatchSession() {
         try {
-            localStorage.setItem('scanHistory', JSON.stringify(this.scanHistory));
+            if (this.batchSession) {
+                localStorage.setItem('batchSession', JSON.stringify(this.batchSession));
+            } else {
+                localStorage.removeItem('batchSession');
+            }
         } catch (error) {
-            console.warn('Could not save history:', error);
+            console.warn('Could not save batch session:', error);
         }
     }
 
     async initializeApp() {
         console.log('Initializing Barcode Scanner...');
         
-        // Initialize ZXing in background
-        this.initializeZXing();
+        // Pick a decoder engine in background
+        this.initializeDecoder();
+        
+        // Offline support and update prompts
+        this.registerServiceWorker();
+        
+        // Retry lookups queued while offline during a previous visit;
+        // they patch history entries, so load those first
+        await this.loadHistory();
+        this.processLookupQueue();
+        
+        // Deliver webhook posts left in the outbox by a previous visit
+        this.webhook.flush();
         
         // Check camera availability
         if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
@@ -105,41 +261,240 @@ class BarcodeScanner {
         }
         
         this.loadSettingsUI();
+        
+        // Resume an unfinished batch from a previous visit
+        if (this.batchSession) {
+            this.setBatchMode(true);
+        }
     }
 
-    async initializeZXing() {
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            console.warn('Service workers not supported - no offline mode');
+            return;
+        }
+        
         try {
-            // Try to load ZXing dynamically if not available
-            if (typeof ZXing === 'undefined') {
-                await this.loadZXingLibrary();
+            const registration = await navigator.serviceWorker.register('sw.js');
+            console.log('Service worker registered:', registration.scope);
+            
+            // An update downloaded on a previous visit is already waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
             }
             
-            if (typeof ZXing !== 'undefined') {
-                const { BrowserMultiFormatReader } = ZXing;
-                this.codeReader = new BrowserMultiFormatReader();
-                console.log('ZXing initialized successfully');
-            } else {
-                console.warn('ZXing not available, using fallback detection');
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // No controller means this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+            
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading || !this.pendingWorker) return;
+                reloading = true;
+                window.location.reload();
+            });
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    showUpdatePrompt(worker) {
+        this.pendingWorker = worker;
+        this.showElement('updateBanner');
+    }
+
+    applyUpdate() {
+        if (!this.pendingWorker) return;
+        
+        // An open batch is persisted and resumes after the reload
+        this.hideElement('updateBanner');
+        this.pendingWorker.postMessage({ type: 'skipWaiting' });
+    }
+
+    async getDecoderCandidates(formats) {
+        // Prefer the native BarcodeDetector when it covers every enabled format
+        const nativeFormats = await NativeBarcodeDecoder.getSupportedFormats();
+        const useNative = nativeFormats.length > 0 && formats.every(format => nativeFormats.includes(format));
+        return useNative ? [NativeBarcodeDecoder, ZXingDecoder] : [ZXingDecoder];
+    }
+
+    async initializeDecoder() {
+        const formats = this.getEnabledFormatNames();
+        
+        try {
+            const candidates = await this.getDecoderCandidates(formats);
+            
+            for (const Decoder of candidates) {
+                // Reconfigure the active engine in place rather than rebuilding it
+                const decoder = this.decoder instanceof Decoder ? this.decoder : new Decoder();
+                
+                if (await decoder.configure(formats, { multiple: this.settings.multiCode })) {
+                    if (this.decoder && this.decoder !== decoder) {
+                        this.decoder.dispose();
+                    }
+                    this.decoder = decoder;
+                    console.log('Decoder initialized:', decoder.getLabel());
+                    this.updateDebugDisplay();
+                    return;
+                }
             }
+            
+            console.warn('No decoder available, scanning disabled');
         } catch (error) {
-            console.error('Failed to initialize ZXing:', error);
+            console.error('Failed to initialize decoder:', error);
         }
     }
 
-    async loadZXingLibrary() {
-        return new Promise((resolve, reject) => {
-            const script = document.createElement('script');
-            script.src = 'https://unpkg.com/@zxing/library@latest/umd/index.min.js';
-            script.onload = () => {
-                console.log('ZXing library loaded dynamically');
-                resolve();
-            };
-            script.onerror = () => {
-                console.warn('Failed to load ZXing library');
-                resolve(); // Don't reject, continue without ZXing
-            };
-            document.head.appendChild(script);
+    getEnabledFormatNames() {
+        const names = [];
+        
+        Object.keys(this.formatMap).forEach(key => {
+            if (this.settings.formats[key]) {
+                names.push(...this.formatMap[key]);
+            }
+        });
+        
+        return names;
+    }
+
+    recordDecodeLatency(latency) {
+        this.decodeLatencies.push(latency);
+        if (this.decodeLatencies.length > 30) {
+            this.decodeLatencies.shift();
+        }
+    }
+
+    getVideoViewTransform(video) {
+        if (!video.videoWidth || !video.videoHeight) return null;
+        
+        const rect = video.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        
+        // The preview uses object-fit: cover, so the video is scaled and centred
+        const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+        return {
+            rect,
+            scale,
+            offsetX: (rect.width - video.videoWidth * scale) / 2,
+            offsetY: (rect.height - video.videoHeight * scale) / 2
+        };
+    }
+
+    getScanRegion(video) {
+        const frame = document.querySelector('.scan-frame');
+        const transform = this.getVideoViewTransform(video);
+        if (!frame || !transform) return null;
+        
+        const { rect: videoRect, scale, offsetX, offsetY } = transform;
+        const frameRect = frame.getBoundingClientRect();
+        
+        const left = Math.max(0, Math.floor((frameRect.left - videoRect.left - offsetX) / scale));
+        const top = Math.max(0, Math.floor((frameRect.top - videoRect.top - offsetY) / scale));
+        const right = Math.min(video.videoWidth, Math.ceil((frameRect.right - videoRect.left - offsetX) / scale));
+        const bottom = Math.min(video.videoHeight, Math.ceil((frameRect.bottom - videoRect.top - offsetY) / scale));
+        
+        if (right - left < 16 || bottom - top < 16) return null;
+        
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    chooseDecodeRegion(video) {
+        if (this.settings.roiShape === 'full') return null;
+        
+        // After N misses inside the frame, give the whole image one try
+        if (this.roiMisses >= this.settings.roiFallbackMisses) {
+            this.roiMisses = 0;
+            return null;
+        }
+        
+        return this.getScanRegion(video);
+    }
+
+    async decodeFrame(video, canvas) {
+        this.decodeInFlight = true;
+        const started = performance.now();
+        const region = this.chooseDecodeRegion(video);
+        const pass = this.nextPreprocessPass();
+        this.lastDecodeRegion = region;
+        
+        try {
+            const results = pass
+                ? await this.decodePreprocessed(video, canvas, region, pass)
+                : await this.decoder.decode(video, canvas, region);
+            this.recordDecodeLatency(performance.now() - started);
+            if (results.length > 0 && this.settings.preprocessEnabled) {
+                this.recordPreprocessHit(pass);
+            }
+            
+            if (region) {
+                this.roiMisses = results.length > 0 ? 0 : this.roiMisses + 1;
+                
+                // Map points back into full video coordinates
+                results.forEach(result => {
+                    result.points = (result.points || []).map(point => ({
+                        x: point.x + region.x,
+                        y: point.y + region.y
+                    }));
+                });
+            }
+            
+            const detections = this.settings.multiCode ? results : results.slice(0, 1);
+            this.confirmation.startFrame(Date.now());
+            // With several codes in this frame, wait for the user to pick one. The
+            // live overlay keeps codes that just left view, so it cannot decide this.
+            const autoConfirm = !this.settings.multiCode || detections.length <= 1;
+            detections.forEach(result => {
+                if (!this.isScanning) return;
+                
+                this.trackLiveDetection(result);
+                this.handleDetection(result, autoConfirm);
+            });
+            this.updateMultiCodeControls();
+        } catch (error) {
+            console.warn('Frame decode failed:', error);
+        } finally {
+            this.decodeInFlight = false;
+        }
+    }
+
+    // Every other frame is decoded as-is; the rest cycle through the enabled passes
+    nextPreprocessPass() {
+        if (!this.settings.preprocessEnabled) return null;
+        
+        const passes = getPreprocessPasses(this.settings.preprocessPasses);
+        const frame = this.preprocessFrame++;
+        if (passes.length === 0 || frame % 2 === 0) return null;
+        
+        return passes[Math.floor(frame / 2) % passes.length];
+    }
+
+    async decodePreprocessed(video, canvas, region, pass) {
+        const area = region || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+        const prepared = applyPreprocessPass(video, area, pass, this.preprocessCanvas);
+        const results = await this.decoder.decode(prepared.canvas, canvas, {
+            x: 0,
+            y: 0,
+            width: prepared.canvas.width,
+            height: prepared.canvas.height
+        });
+        
+        // Back from the processed (possibly rotated) canvas to region coordinates
+        results.forEach(result => {
+            result.points = (result.points || []).map(prepared.mapPoint);
         });
+        return results;
+    }
+
+    recordPreprocessHit(pass) {
+        const label = pass ? pass.label : 'Raw frame';
+        this.preprocessHits[label] = (this.preprocessHits[label] || 0) + 1;
+        this.lastPreprocessHit = label;
     }
 
     showCameraUnavailable() {
@@ -153,14 +508,19 @@ class BarcodeScanner {
                     <h3>Camera Not Available</h3>
                     <p style="text-align: center; margin-bottom: var(--space-16);">Your device doesn't have a camera or camera access is not supported.</p>
                     <button class="btn btn--primary" id="fallbackManualBtn">Manual Entry</button>
+                    <button class="btn btn--outline" id="fallbackImageBtn" style="margin-top: var(--space-8);">Open Image</button>
                 </div>
             `;
             
-            // Bind the fallback manual button
+            // Bind the fallback manual and image buttons
             const fallbackBtn = document.getElementById('fallbackManualBtn');
             if (fallbackBtn) {
                 fallbackBtn.addEventListener('click', () => this.showManualModal());
             }
+            const fallbackImageBtn = document.getElementById('fallbackImageBtn');
+            if (fallbackImageBtn) {
+                fallbackImageBtn.addEventListener('click', () => this.showImageModal());
+            }
         }
         
         this.disableCameraControls();
@@ -188,17 +548,52 @@ class BarcodeScanner {
         this.bindEvent('requestPermissionBtn', 'click', () => this.requestCameraPermission());
         this.bindEvent('retryBtn', 'click', () => this.requestCameraPermission());
         this.bindEvent('debugToggleBtn', 'click', () => this.toggleDebug());
+        this.bindEvent('batchModeBtn', 'click', () => this.toggleBatchMode());
+        this.bindEvent('cameraView', 'click', (e) => {
+            if (!this.handlePreviewTap(e)) this.focusAt(e);
+        });
+        this.bindEvent('cameraAdjustments', 'input', (e) => this.applyCameraAdjustment(e.target));
+        this.bindEvent('acceptAllBtn', 'click', (e) => {
+            e.stopPropagation();
+            this.acceptAllDetections();
+        });
+
+        // Batch session
+        this.bindEvent('finishBatchBtn', 'click', () => this.finishBatch());
+        this.bindEvent('discardBatchBtn', 'click', () => this.discardBatch());
+        this.bindEvent('batchList', 'click', (e) => this.handleBatchListClick(e));
+        this.bindEvent('batchList', 'change', (e) => this.handleBatchQuantityChange(e));
 
         // Modal controls
         this.bindEvent('historyBtn', 'click', () => this.showHistoryModal());
         this.bindEvent('settingsBtn', 'click', () => this.showSettingsModal());
+        this.bindEvent('generateBtn', 'click', () => this.showGeneratorModal());
         this.bindEvent('manualEntryBtn', 'click', () => this.showManualModal());
         this.bindEvent('manualModeBtn', 'click', () => this.showManualModal());
+        this.bindEvent('openImageBtn', 'click', () => this.showImageModal());
+        this.bindEvent('imageModeBtn', 'click', () => this.showImageModal());
 
         // Results panel
         this.bindEvent('closeResultsBtn', 'click', () => this.hideResults());
         this.bindEvent('scanAgainBtn', 'click', () => this.scanAgain());
         this.bindEvent('copyCodeBtn', 'click', () => this.copyCode());
+        this.bindEvent('regenerateBtn', 'click', () => this.showGeneratorModal(this.currentScan));
+        this.bindEvent('productInfo', 'click', (e) => this.handleProductInfoClick(e));
+        this.bindEvent('scanMeta', 'change', (e) => this.handleScanMetaChange(e));
+        this.bindEvent('scanMeta', 'click', (e) => {
+            if (e.target.matches('[data-remove-photo]')) this.removeScanPhoto();
+        });
+
+        // Link inspection
+        this.bindEvent('closeLinkBtn', 'click', () => this.hideModal('linkModal'));
+        this.bindEvent('cancelLinkBtn', 'click', () => this.hideModal('linkModal'));
+        this.bindEvent('openLinkBtn', 'click', () => this.confirmPendingLink());
+        this.bindEvent('trustHostBtn', 'click', () => this.updateLinkLists('linkAllowList'));
+        this.bindEvent('blockHostBtn', 'click', () => this.updateLinkLists('linkDenyList'));
+
+        // Update prompt
+        this.bindEvent('applyUpdateBtn', 'click', () => this.applyUpdate());
+        this.bindEvent('dismissUpdateBtn', 'click', () => this.hideElement('updateBanner'));
 
         // Modal close events
         this.bindEvent('closeHistoryBtn', 'click', () => this.hideModal('historyModal'));
@@ -206,8 +601,77 @@ class BarcodeScanner {
         this.bindEvent('closeManualBtn', 'click', () => this.hideModal('manualModal'));
         this.bindEvent('clearHistoryBtn', 'click', () => this.clearHistory());
 
+        // History search, filters and bulk actions
+        ['historySearch', 'historyFormatFilter', 'historyFrom', 'historyTo', 'historyCollapse'].forEach(id => {
+            this.bindEvent(id, id === 'historySearch' ? 'input' : 'change', () => this.updateHistoryFilters());
+        });
+        this.bindEvent('historyList', 'click', (e) => this.handleHistoryListClick(e));
+        this.bindEvent('historySelectAllBtn', 'click', () => this.toggleSelectAllHistory());
+        this.bindEvent('deleteSelectedBtn', 'click', () => this.deleteSelectedHistory());
+        this.bindEvent('exportSelectedBtn', 'click', () => this.showExportModal(this.getSelectedHistory(), 'selected'));
+        this.bindEvent('exportHistoryBtn', 'click', () => this.showExportModal());
+        this.bindEvent('importHistoryBtn', 'click', () => document.getElementById('importHistoryInput')?.click());
+        this.bindEvent('importHistoryInput', 'change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importHistoryFile(file);
+        });
+
+        // Export
+        this.bindEvent('closeExportBtn', 'click', () => this.hideModal('exportModal'));
+        this.bindEvent('exportFormat', 'change', () => this.readExportOptions());
+        this.bindEvent('exportDelimiter', 'change', () => this.readExportOptions());
+        this.bindEvent('exportColumns', 'change', () => this.readExportOptions());
+        this.bindEvent('downloadExportBtn', 'click', () => this.downloadExport());
+        this.bindEvent('shareExportBtn', 'click', () => this.shareExport());
+        this.bindEvent('relookupSelectedBtn', 'click', () => this.relookupSelectedHistory());
+
+        // Code generator
+        this.bindEvent('closeGeneratorBtn', 'click', () => this.hideModal('generatorModal'));
+        this.bindEvent('generatorText', 'input', () => this.renderGenerator());
+        this.bindEvent('generatorFormat', 'change', () => {
+            this.resetGeneratorQuietZone();
+            this.renderGenerator();
+        });
+        ['generatorModuleSize', 'generatorQuietZone', 'generatorBarHeight', 'generatorEcLevel', 'generatorShowText'].forEach(id => {
+            this.bindEvent(id, 'change', () => this.renderGenerator());
+        });
+        this.bindEvent('downloadPngBtn', 'click', () => this.downloadGeneratedCode('png'));
+        this.bindEvent('downloadSvgBtn', 'click', () => this.downloadGeneratedCode('svg'));
+
+        // Decoding images, screenshots and PDFs
+        this.bindEvent('closeImageBtn', 'click', () => this.hideModal('imageModal'));
+        this.bindEvent('chooseImageBtn', 'click', () => document.getElementById('imageFileInput')?.click());
+        this.bindEvent('imageFileInput', 'change', (e) => {
+            const files = [...e.target.files];
+            e.target.value = '';
+            this.decodeImageFiles(files);
+        });
+        this.bindEvent('imageResults', 'click', (e) => this.handleImageResultClick(e));
+        document.addEventListener('dragover', (e) => {
+            if (e.dataTransfer?.types.includes('Files')) {
+                e.preventDefault();
+                document.getElementById('imageDropZone')?.classList.add('image-drop-zone--active');
+            }
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) document.getElementById('imageDropZone')?.classList.remove('image-drop-zone--active');
+        });
+        document.addEventListener('drop', (e) => {
+            const files = [...(e.dataTransfer?.files || [])];
+            if (files.length === 0) return;
+            e.preventDefault();
+            document.getElementById('imageDropZone')?.classList.remove('image-drop-zone--active');
+            this.decodeImageFiles(files);
+        });
+        document.addEventListener('paste', (e) => this.handleImagePaste(e));
+        
+        // Keyboard-wedge scanners, listened for app-wide
+        this.keyboardWedge.attach(document);
+
         // Manual entry
         this.bindEvent('submitManualBtn', 'click', () => this.submitManualCode());
+        this.bindEvent('manualCode', 'input', () => this.showManualError(null));
         this.bindEvent('manualCode', 'keypress', (e) => {
             if (e.key === 'Enter') {
                 this.submitManualCode();
@@ -215,9 +679,18 @@ class BarcodeScanner {
         });
 
         // Settings changes
-        ['audioFeedback', 'autoSearch', 'requireMultipleDetections', 'formatUPC', 'formatEAN', 'formatCode128', 'formatCode39', 'formatQR', 'formatDataMatrix'].forEach(id => {
+        ['audioFeedback', 'autoSearch', 'confirmationStrategy', 'confirmationMatches', 'confirmationWindow', 'confirmationFrames', 'confirmationOverrides', 'multiCode', 'code39CheckDigit', 'roiShape', 'roiFallbackMisses', 'batchCooldown', 'linkAllowList', 'linkDenyList', 'customProviderUrl', 'productCacheDays', 'historyMaxEntries', 'historyRetentionDays', 'captureLocation', 'customFieldDefinitions', 'webhookOnScan', 'webhookOnBatch', 'webhookUrl', 'webhookHeaders', 'webhookTemplate', 'wedgeEnabled', 'wedgeMaxKeyInterval', 'wedgeMinLength', 'wedgePrefix', 'wedgeSuffix', 'cameraDevice', 'cameraResolution', 'preprocessEnabled', ...Object.keys(this.formatMap).map(key => `format${key}`), ...PREPROCESS_SETTINGS.map(key => this.getPreprocessCheckboxId(key))].forEach(id => {
             this.bindEvent(id, 'change', () => this.updateSettings());
         });
+        this.bindEvent('providerList', 'change', () => this.updateSettings());
+        this.bindEvent('providerList', 'click', (e) => this.handleProviderListClick(e));
+        this.bindEvent('clearProductCacheBtn', 'click', () => this.clearProductCache());
+        
+        // Retry queued product lookups as soon as the connection returns
+        window.addEventListener('online', () => {
+            this.processLookupQueue();
+            this.webhook.flush();
+        });
 
         // Close modals on background click
         document.querySelectorAll('.modal').forEach(modal => {
@@ -287,16 +760,33 @@ class BarcodeScanner {
         this.showLoadingState('Accessing camera...');
         
         try {
+            const resolution = this.resolutionPresets[this.settings.cameraResolution] || this.resolutionPresets['720p'];
             const constraints = {
                 video: {
-                    facingMode: this.currentCamera,
-                    width: { ideal: 1280, min: 640 },
-                    height: { ideal: 720, min: 480 }
+                    width: { ideal: resolution.width },
+                    height: { ideal: resolution.height }
                 }
             };
+            if (this.settings.cameraDeviceId) {
+                constraints.video.deviceId = { exact: this.settings.cameraDeviceId };
+            } else {
+                constraints.video.facingMode = this.currentCamera;
+            }
 
             console.log('Getting user media with constraints:', constraints);
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            try {
+                this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            } catch (error) {
+                // The remembered camera was unplugged or its id was reset
+                if (!constraints.video.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) throw error;
+                
+                console.warn('Saved camera unavailable, using the default camera:', error);
+                this.settings.cameraDeviceId = '';
+                this.saveSettings();
+                delete constraints.video.deviceId;
+                constraints.video.facingMode = this.currentCamera;
+                this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            }
             
             const video = document.getElementById('scanner');
             if (video) {
@@ -315,6 +805,8 @@ class BarcodeScanner {
             this.hideLoadingState();
             this.enableCameraControls();
             this.checkFlashCapability();
+            this.checkCameraTuning();
+            this.refreshCameraDevices();
             
         } catch (error) {
             console.error('Camera permission error:', error);
@@ -364,15 +856,148 @@ class BarcodeScanner {
         }
     }
 
+    // Sliders for whichever of zoom, focus distance and exposure the camera exposes
+    checkCameraTuning() {
+        const panel = document.getElementById('cameraAdjustments');
+        if (!panel || !this.stream) return;
+        
+        const track = this.stream.getVideoTracks()[0];
+        const capabilities = typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        const current = track.getSettings();
+        let available = false;
+        
+        panel.querySelectorAll('[data-constraint]').forEach(input => {
+            const range = capabilities[input.dataset.constraint];
+            const supported = Boolean(range) && typeof range.min === 'number' && range.max > range.min;
+            input.closest('.camera-adjustment').classList.toggle('hidden', !supported);
+            if (!supported) return;
+            
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step || (range.max - range.min) / 100;
+            input.value = current[input.dataset.constraint] ?? range.min;
+            available = true;
+        });
+        
+        panel.classList.toggle('hidden', !available);
+    }
+
+    async applyCameraAdjustment(input) {
+        const constraint = input.dataset.constraint;
+        if (!constraint || !this.stream) return;
+        
+        // A focus distance only sticks once autofocus is off
+        const constraints = { [constraint]: parseFloat(input.value) };
+        if (constraint === 'focusDistance') constraints.focusMode = 'manual';
+        
+        try {
+            await this.stream.getVideoTracks()[0].applyConstraints({ advanced: [constraints] });
+        } catch (error) {
+            console.warn(`Could not set ${constraint}:`, error);
+        }
+    }
+
+    async focusAt(e) {
+        if (!this.stream) return;
+        
+        const track = this.stream.getVideoTracks()[0];
+        const capabilities = typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        const modes = capabilities.focusMode || [];
+        if (!modes.includes('continuous') && !modes.includes('single-shot')) return;
+        
+        const video = document.getElementById('scanner');
+        const transform = this.getVideoViewTransform(video);
+        if (!transform) return;
+        
+        const x = e.clientX - transform.rect.left;
+        const y = e.clientY - transform.rect.top;
+        
+        // Points of interest are normalised to the full video frame, not the cropped preview
+        const clamp = value => Math.min(1, Math.max(0, value));
+        const point = {
+            x: clamp((x - transform.offsetX) / transform.scale / video.videoWidth),
+            y: clamp((y - transform.offsetY) / transform.scale / video.videoHeight)
+        };
+        
+        this.showFocusRing(x, y);
+        
+        try {
+            await track.applyConstraints({
+                advanced: [{ pointsOfInterest: [point], focusMode: modes.includes('continuous') ? 'continuous' : 'single-shot' }]
+            });
+            // Tapping hands focus back to the camera, so the manual slider is stale
+            this.checkCameraTuning();
+        } catch (error) {
+            console.warn('Tap to focus failed:', error);
+        }
+    }
+
+    showFocusRing(x, y) {
+        const ring = document.getElementById('focusRing');
+        if (!ring) return;
+        
+        ring.style.left = `${x}px`;
+        ring.style.top = `${y}px`;
+        ring.classList.remove('hidden');
+        // Restart the animation when tapping again before it finished
+        ring.classList.remove('focus-ring--active');
+        void ring.offsetWidth;
+        ring.classList.add('focus-ring--active');
+        
+        clearTimeout(this.focusRingTimer);
+        this.focusRingTimer = setTimeout(() => ring.classList.add('hidden'), 800);
+    }
+
+    async refreshCameraDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return;
+        
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            // Ids are blank until camera permission has been granted
+            this.cameraDevices = devices.filter(device => device.kind === 'videoinput' && device.deviceId);
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+            this.cameraDevices = [];
+        }
+        
+        this.renderCameraDeviceOptions();
+    }
+
+    renderCameraDeviceOptions() {
+        const select = document.getElementById('cameraDevice');
+        if (!select) return;
+        
+        const options = this.cameraDevices.map((device, index) => ({
+            id: device.deviceId,
+            label: device.label || `Camera ${index + 1}`
+        }));
+        
+        // Keep the saved choice selectable before the cameras have been listed
+        const saved = this.settings.cameraDeviceId;
+        if (saved && !options.some(option => option.id === saved)) {
+            options.push({ id: saved, label: 'Saved camera' });
+        }
+        
+        select.innerHTML = '<option value="">Default (rear camera)</option>' + options.map(option =>
+            `<option value="${this.escapeHtml(option.id)}">${this.escapeHtml(option.label)}</option>`
+        ).join('');
+        select.value = saved;
+    }
+
     async startScanning() {
         if (this.isScanning) return;
         
         console.log('Starting barcode scanning...');
         this.isScanning = true;
-        this.detectionHistory = [];
+        this.confirmation.reset();
         this.detectionCount = 0;
         this.scanStartTime = Date.now();
         this.frameCount = 0;
+        this.decodeLatencies = [];
+        this.roiMisses = 0;
+        this.preprocessFrame = 0;
+        this.preprocessHits = {};
+        this.lastPreprocessHit = null;
         
         // Update UI
         this.toggleScanButtons(true);
@@ -409,28 +1034,12 @@ class BarcodeScanner {
             
             if (!video || !canvas) return;
             
-            // Set canvas size to match video
-            canvas.width = video.videoWidth || video.clientWidth;
-            canvas.height = video.videoHeight || video.clientHeight;
-            
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
-            
-            // Try ZXing detection if available
-            if (this.codeReader) {
-                try {
-                    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                    const result = await this.codeReader.decodeFromImageData(imageData);
-                    
-                    if (result && result.getText()) {
-                        this.handleDetection(result);
-                        return; // Stop scanning after successful detection
-                    }
-                } catch (decodeError) {
-                    // No barcode found in this frame, continue
-                }
+            // Backpressure: skip this frame if the decoder is still busy
+            if (this.decoder && !this.decodeInFlight) {
+                this.decodeFrame(video, this.scratchCanvas);
             }
             
+            this.drawOverlay(video, canvas);
             this.frameCount++;
             
             // Continue scanning
@@ -445,82 +1054,586 @@ class BarcodeScanner {
         }
     }
 
-    handleDetection(result) {
-        const code = result.getText();
-        const format = result.getBarcodeFormat ? result.getBarcodeFormat().toString() : 'Unknown';
+    handleDetection(result, autoConfirm = true) {
+        const code = result.text;
+        const format = result.format || 'Unknown';
         
         console.log('Raw detection:', code, format);
         
+        // Misreads with a bad check digit never count towards confirmation
+        const validation = validateBarcode(code, format, this.getValidationOptions());
+        if (!validation.valid) {
+            console.log('Rejected invalid read:', code, validation.error);
+            return;
+        }
+        
+        if (this.batchMode) {
+            this.noteBatchSighting(code, Date.now());
+        }
+        
         // Update debug info
         this.lastDetectedCode = code;
         this.updateDebugDisplay();
         
-        // Add to detection history for confirmation
-        this.detectionHistory.push({
-            code,
-            format,
-            timestamp: Date.now()
+        // Check the read against the confirmation policy
+        const { confirmed, count, required } = this.confirmation.addRead(code, format, Date.now());
+        
+        this.trackLiveDetection(result, confirmed ? 'confirmed' : count > 1 ? 'confirming' : 'seen', count, required);
+        
+        if (confirmed && autoConfirm) {
+            this.confirmDetection(code, format, result.symbologyId);
+        }
+    }
+
+    trackLiveDetection(result, state = 'seen', count = 0, required = 1) {
+        const previous = this.liveDetections.get(result.text);
+        this.liveDetections.set(result.text, {
+            text: result.text,
+            format: result.format || 'Unknown',
+            symbologyId: result.symbologyId || null,
+            points: result.points || [],
+            state: previous && count === 0 ? previous.state : state,
+            count: previous && count === 0 ? previous.count : count,
+            required,
+            seenAt: performance.now()
         });
+    }
+
+    updateMultiCodeControls() {
+        const multiple = this.isScanning && this.liveDetections.size > 1;
+        document.getElementById('multiCodeControls')?.classList.toggle('hidden', !multiple);
         
-        // Keep only recent detections
-        const cutoff = Date.now() - this.settings.detectionTimeout;
-        this.detectionHistory = this.detectionHistory.filter(d => d.timestamp > cutoff);
+        const count = document.getElementById('multiCodeCount');
+        if (count) count.textContent = `${this.liveDetections.size} codes in view - tap one to select`;
+    }
+
+    handlePreviewTap(e) {
+        if (!this.isScanning || this.liveDetections.size === 0) return false;
         
-        // Check if we have enough consistent detections
-        const codeMatches = this.detectionHistory.filter(d => d.code === code);
+        const video = document.getElementById('scanner');
+        const transform = this.getVideoViewTransform(video);
+        if (!transform) return false;
         
-        if (this.settings.requireMultipleDetections) {
-            if (codeMatches.length >= this.settings.minDetections) {
-                this.confirmDetection(code, format);
+        const x = e.clientX - transform.rect.left;
+        const y = e.clientY - transform.rect.top;
+        
+        for (const detection of this.liveDetections.values()) {
+            const outline = this.getDetectionOutline(detection.points, transform);
+            if (outline && this.isPointInPolygon({ x, y }, outline)) {
+                this.selectDetection(detection.text);
+                return true;
             }
-        } else {
-            this.confirmDetection(code, format);
         }
+        
+        return false;
     }
 
-    confirmDetection(code, format) {
-        console.log('Confirmed detection:', code, format);
+    isPointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    selectDetection(code) {
+        const detection = this.liveDetections.get(code);
+        if (!detection) return;
         
-        this.playBeep();
-        this.showDetectionFeedback();
-        this.stopScanning();
-        this.processScan(code, format);
+        console.log('Detection selected by tap:', code);
+        this.confirmDetection(detection.text, detection.format, detection.symbologyId);
     }
 
-    showDetectionFeedback() {
-        const feedback = document.getElementById('detectionFeedback');
-        if (feedback) {
-            feedback.classList.remove('hidden');
-            setTimeout(() => {
-                feedback.classList.add('hidden');
-            }, 1000);
+    acceptAllDetections() {
+        const detections = [...this.liveDetections.values()];
+        if (detections.length === 0) return;
+        
+        // Accepting several codes only makes sense as a batch
+        if (!this.batchMode) {
+            this.setBatchMode(true);
         }
+        
+        detections.forEach(detection => this.addToBatch(detection.text, detection.format));
     }
 
-    stopScanning() {
-        if (!this.isScanning) return;
-        
-        console.log('Stopping scan...');
-        this.isScanning = false;
+    getDetectionOutline(points, transform) {
+        if (points.length === 0) return null;
         
-        if (this.debugInterval) {
-            clearInterval(this.debugInterval);
-            this.debugInterval = null;
+        const toView = point => ({
+            x: point.x * transform.scale + transform.offsetX,
+            y: point.y * transform.scale + transform.offsetY
+        });
+        let outline = points.map(toView);
+        
+        // ZXing gives three finder patterns for QR - complete the parallelogram
+        if (outline.length === 3) {
+            const [bottomLeft, topLeft, topRight] = outline;
+            outline.push({
+                x: bottomLeft.x + topRight.x - topLeft.x,
+                y: bottomLeft.y + topRight.y - topLeft.y
+            });
+            outline = [topLeft, topRight, outline[3], bottomLeft];
         }
         
-        this.toggleScanButtons(false);
+        // 1D readers only report the scan line - pad it into a box
+        if (outline.length < 3) {
+            const xs = outline.map(point => point.x);
+            const ys = outline.map(point => point.y);
+            const padding = 24;
+            const left = Math.min(...xs) - 8;
+            const right = Math.max(...xs) + 8;
+            const top = Math.min(...ys) - padding;
+            const bottom = Math.max(...ys) + padding;
+            outline = [
+                { x: left, y: top },
+                { x: right, y: top },
+                { x: right, y: bottom },
+                { x: left, y: bottom }
+            ];
+        }
         
-        // Clear canvas
-        const canvas = document.getElementById('scannerCanvas');
-        if (canvas) {
-            const ctx = canvas.getContext('2d');
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
+        return outline;
+    }
+
+    getOverlayColors() {
+        if (!this.overlayColors) {
+            const styles = getComputedStyle(document.documentElement);
+            const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+            this.overlayColors = {
+                seen: read('--color-gray-300', '#A7A9A9'),
+                confirming: read('--color-warning', '#A84B2F'),
+                confirmed: read('--color-success', '#21808D')
+            };
         }
+        return this.overlayColors;
     }
 
-    toggleScanButtons(scanning) {
-        const startBtn = document.getElementById('startBtn');
-        const stopBtn = document.getElementById('stopBtn');
+    drawOverlay(video, canvas) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * dpr);
+        const height = Math.round(canvas.clientHeight * dpr);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+        
+        const transform = this.getVideoViewTransform(video);
+        if (!transform) return;
+        
+        const colors = this.getOverlayColors();
+        const now = performance.now();
+        
+        this.liveDetections.forEach((detection, code) => {
+            // Drop codes that have left the view
+            if (now - detection.seenAt > 500) {
+                this.liveDetections.delete(code);
+                return;
+            }
+            
+            const outline = this.getDetectionOutline(detection.points, transform);
+            if (!outline) return;
+            
+            const color = colors[detection.state];
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            outline.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+            ctx.closePath();
+            ctx.stroke();
+            
+            const progress = detection.state === 'confirmed' ? '✓' : `${detection.count}/${detection.required}`;
+            const label = `${this.truncateText(detection.text, 32)} ${progress}`;
+            const labelX = Math.min(...outline.map(point => point.x));
+            const labelY = Math.min(...outline.map(point => point.y)) - 6;
+            
+            ctx.font = '13px monospace';
+            const labelWidth = ctx.measureText(label).width + 8;
+            ctx.fillStyle = color;
+            ctx.fillRect(labelX, labelY - 16, labelWidth, 20);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, labelX + 4, labelY - 2);
+        });
+    }
+
+    confirmDetection(code, format, symbologyId = null) {
+        console.log('Confirmed detection:', code, format);
+        
+        if (this.batchMode) {
+            this.addToBatch(code, format);
+            return;
+        }
+        
+        this.playBeep();
+        this.showDetectionFeedback(code);
+        
+        // Grab the frame before the camera stops
+        const thumbnail = this.captureThumbnail(code);
+        this.stopScanning();
+        this.processScan(code, format, { source: 'camera', thumbnail, symbologyId });
+    }
+
+    getWedgeOptions() {
+        return {
+            // Modals have their own inputs - the manual entry field already takes scanner input
+            enabled: this.settings.wedgeEnabled && !document.querySelector('.modal:not(.hidden)'),
+            maxKeyInterval: this.settings.wedgeMaxKeyInterval,
+            minLength: this.settings.wedgeMinLength,
+            prefix: this.settings.wedgePrefix,
+            suffix: this.settings.wedgeSuffix
+        };
+    }
+
+    handleWedgeScan({ code, format, symbologyId }) {
+        console.log('Keyboard scanner input:', code, format, symbologyId || '');
+        
+        if (this.batchMode) {
+            this.addToBatch(code, format, 'keyboard');
+            return;
+        }
+        
+        this.playBeep();
+        this.stopScanning();
+        this.processScan(code, format, { source: 'keyboard', symbologyId });
+    }
+
+    captureThumbnail(code, maxSize = 160) {
+        const video = document.getElementById('scanner');
+        if (!video || !video.videoWidth) return null;
+        
+        const points = this.liveDetections.get(code)?.points || [];
+        return this.cropThumbnail(video, video.videoWidth, video.videoHeight, points, maxSize);
+    }
+
+    cropThumbnail(source, width, height, points, maxSize = 160) {
+        // Crop around the detection when its outline is known, else keep the whole image
+        let sx = 0;
+        let sy = 0;
+        let sw = width;
+        let sh = height;
+        
+        if (points.length > 0) {
+            const xs = points.map(point => point.x);
+            const ys = points.map(point => point.y);
+            const pad = Math.max(40, (Math.max(...xs) - Math.min(...xs)) * 0.25);
+            sx = Math.max(0, Math.min(...xs) - pad);
+            sy = Math.max(0, Math.min(...ys) - pad);
+            sw = Math.min(width, Math.max(...xs) + pad) - sx;
+            sh = Math.min(height, Math.max(...ys) + pad) - sy;
+        }
+        
+        try {
+            const scale = Math.min(1, maxSize / Math.max(sw, sh));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(sw * scale);
+            canvas.height = Math.round(sh * scale);
+            canvas.getContext('2d').drawImage(source, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL('image/jpeg', 0.7);
+        } catch (error) {
+            console.warn('Could not capture thumbnail:', error);
+            return null;
+        }
+    }
+
+    captureLocation(scanData) {
+        if (!this.settings.captureLocation || !navigator.geolocation) return;
+        
+        // Never hold up the result - patch the entry when a fix arrives
+        navigator.geolocation.getCurrentPosition(position => {
+            scanData.location = {
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: Math.round(position.coords.accuracy)
+            };
+            this.saveHistory(scanData);
+            if (this.currentScan === scanData) {
+                this.showScanLocation(scanData.location);
+            }
+        }, error => {
+            console.warn('Location unavailable:', error.message);
+        }, { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 });
+    }
+
+    toggleBatchMode() {
+        if (!this.batchMode) {
+            this.setBatchMode(true);
+            return;
+        }
+        
+        const items = this.batchSession ? this.batchSession.items.length : 0;
+        if (items === 0) {
+            this.discardBatch();
+        } else if (confirm(`Save batch of ${items} codes to history?`)) {
+            this.finishBatch();
+        }
+    }
+
+    setBatchMode(enabled) {
+        this.batchMode = enabled;
+        this.batchCooldowns.clear();
+        
+        if (enabled && !this.batchSession) {
+            this.batchSession = {
+                id: `batch-${Date.now()}`,
+                startedAt: new Date().toISOString(),
+                items: []
+            };
+            this.saveBatchSession();
+        }
+        
+        const btn = document.getElementById('batchModeBtn');
+        if (btn) {
+            btn.style.opacity = enabled ? '1' : '0.6';
+            btn.title = enabled ? 'Finish batch scanning' : 'Start batch scanning';
+        }
+        
+        const instructions = document.querySelector('.scan-instructions');
+        if (instructions) {
+            instructions.textContent = enabled
+                ? 'Batch mode: scan items continuously'
+                : 'Point your camera at a barcode or QR code';
+        }
+        
+        document.getElementById('batchPanel')?.classList.toggle('hidden', !enabled);
+        this.updateBatchDisplay();
+    }
+
+    // Every read refreshes the code's cooldown, counted or not
+    noteBatchSighting(code, now) {
+        let cooldown = this.batchCooldowns.get(code);
+        if (!cooldown || now - cooldown.lastSeen >= this.settings.batchCooldown) {
+            cooldown = { counted: false };
+            this.batchCooldowns.set(code, cooldown);
+        }
+        cooldown.lastSeen = now;
+        return cooldown;
+    }
+
+    // `source` is 'camera' or 'keyboard'; every keyboard-scanner trigger pull is a deliberate count
+    addToBatch(code, format, source = 'camera') {
+        const now = Date.now();
+        
+        // A code held in view is only counted once; it counts again after
+        // being out of view for the cooldown
+        if (source === 'camera') {
+            const cooldown = this.noteBatchSighting(code, now);
+            if (cooldown.counted) {
+                return;
+            }
+            cooldown.counted = true;
+        }
+        
+        // Require fresh confirmations before this code can count again
+        this.confirmation.forget(code);
+        
+        const timestamp = new Date(now).toISOString();
+        const existing = this.batchSession.items.find(item => item.code === code);
+        
+        if (existing) {
+            existing.quantity++;
+            existing.lastScanned = timestamp;
+        } else {
+            this.batchSession.items.unshift({
+                code,
+                format,
+                quantity: 1,
+                firstScanned: timestamp,
+                lastScanned: timestamp
+            });
+        }
+        
+        this.playBeep();
+        this.showDetectionFeedback(code);
+        this.saveBatchSession();
+        this.updateBatchDisplay();
+    }
+
+    updateBatchDisplay() {
+        const batchList = document.getElementById('batchList');
+        const batchSummary = document.getElementById('batchSummary');
+        const items = this.batchSession ? this.batchSession.items : [];
+        
+        if (batchSummary) {
+            const total = items.reduce((sum, item) => sum + item.quantity, 0);
+            batchSummary.textContent = `${items.length} codes · ${total} items`;
+        }
+        
+        if (!batchList) return;
+        
+        if (items.length === 0) {
+            batchList.innerHTML = '<p class="empty-history">Scanned codes will appear here.</p>';
+            return;
+        }
+        
+        batchList.innerHTML = items.map((item, index) => `
+            <div class="batch-item">
+                <div class="batch-item__info">
+                    <span class="history-item__code">${this.escapeHtml(item.code)}</span>
+                    <span class="history-item__format">${this.escapeHtml(item.format)}</span>
+                </div>
+                <div class="batch-item__quantity">
+                    <button class="btn btn--sm btn--outline" type="button" data-action="decrement" data-index="${index}">−</button>
+                    <input type="number" class="form-control batch-item__input" min="0" value="${item.quantity}" data-index="${index}" aria-label="Quantity">
+                    <button class="btn btn--sm btn--outline" type="button" data-action="increment" data-index="${index}">+</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    handleBatchListClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button || !this.batchSession) return;
+        
+        const index = parseInt(button.dataset.index, 10);
+        const delta = button.dataset.action === 'increment' ? 1 : -1;
+        this.setBatchQuantity(index, this.batchSession.items[index].quantity + delta);
+    }
+
+    handleBatchQuantityChange(e) {
+        if (!e.target.matches('.batch-item__input') || !this.batchSession) return;
+        
+        const index = parseInt(e.target.dataset.index, 10);
+        this.setBatchQuantity(index, parseInt(e.target.value, 10) || 0);
+    }
+
+    setBatchQuantity(index, quantity) {
+        const item = this.batchSession.items[index];
+        if (!item) return;
+        
+        // Dropping to zero removes the code from the session
+        if (quantity <= 0) {
+            this.batchSession.items.splice(index, 1);
+            this.batchCooldowns.delete(item.code);
+        } else {
+            item.quantity = quantity;
+        }
+        
+        this.saveBatchSession();
+        this.updateBatchDisplay();
+    }
+
+    finishBatch() {
+        if (!this.batchSession) return;
+        
+        const items = this.batchSession.items;
+        if (items.length > 0) {
+            const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+            const batch = {
+                type: 'batch',
+                code: `${items.length} codes / ${totalQuantity} items`,
+                format: 'Batch',
+                timestamp: new Date().toISOString(),
+                startedAt: this.batchSession.startedAt,
+                items,
+                product: null
+            };
+            this.addToHistory(batch);
+            
+            if (this.settings.webhookOnBatch) {
+                this.sendWebhook('batch', batch);
+            }
+        }
+        
+        this.batchSession = null;
+        this.saveBatchSession();
+        this.setBatchMode(false);
+    }
+
+    discardBatch() {
+        const items = this.batchSession ? this.batchSession.items.length : 0;
+        if (items > 0 && !confirm(`Discard ${items} scanned codes?`)) return;
+        
+        this.batchSession = null;
+        this.saveBatchSession();
+        this.setBatchMode(false);
+    }
+
+    displayBatchSummary(batch) {
+        const productInfo = document.getElementById('productInfo');
+        if (!productInfo) return;
+        
+        const rows = batch.items.map(item => `
+            <tr>
+                <td class="batch-table__code">${this.escapeHtml(item.code)}</td>
+                <td>${this.escapeHtml(item.format)}</td>
+                <td class="batch-table__quantity">${item.quantity}</td>
+            </tr>
+        `).join('');
+        
+        productInfo.innerHTML = `
+            <div class="product-card">
+                <h4>Batch Session</h4>
+                <p><strong>Started:</strong> ${new Date(batch.startedAt).toLocaleString()}</p>
+                <table class="batch-table">
+                    <thead>
+                        <tr><th>Code</th><th>Format</th><th>Qty</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    showDetectionFeedback(code) {
+        const feedback = document.getElementById('detectionFeedback');
+        if (feedback) {
+            // Park the flash box over the confirmed code when we know where it is
+            const box = feedback.querySelector('.detection-box');
+            const detection = this.liveDetections.get(code);
+            const transform = this.getVideoViewTransform(document.getElementById('scanner'));
+            const outline = detection && transform ? this.getDetectionOutline(detection.points, transform) : null;
+            
+            if (box && outline) {
+                const xs = outline.map(point => point.x);
+                const ys = outline.map(point => point.y);
+                box.style.left = `${Math.min(...xs)}px`;
+                box.style.top = `${Math.min(...ys)}px`;
+                box.style.width = `${Math.max(...xs) - Math.min(...xs)}px`;
+                box.style.height = `${Math.max(...ys) - Math.min(...ys)}px`;
+            }
+            
+            feedback.classList.remove('hidden');
+            setTimeout(() => {
+                feedback.classList.add('hidden');
+            }, 1000);
+        }
+    }
+
+    stopScanning() {
+        if (!this.isScanning) return;
+        
+        console.log('Stopping scan...');
+        this.isScanning = false;
+        this.decodeInFlight = false;
+        this.liveDetections.clear();
+        this.updateMultiCodeControls();
+        
+        if (this.debugInterval) {
+            clearInterval(this.debugInterval);
+            this.debugInterval = null;
+        }
+        
+        this.toggleScanButtons(false);
+        
+        // Clear canvas
+        const canvas = document.getElementById('scannerCanvas');
+        if (canvas) {
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+        }
+    }
+
+    toggleScanButtons(scanning) {
+        const startBtn = document.getElementById('startBtn');
+        const stopBtn = document.getElementById('stopBtn');
         
         if (startBtn && stopBtn) {
             if (scanning) {
@@ -533,79 +1646,234 @@ class BarcodeScanner {
         }
     }
 
-    async processScan(code, format) {
+    getValidationOptions() {
+        return { code39CheckDigit: this.settings.code39CheckDigit };
+    }
+
+    async processScan(code, format, options = {}) {
+        const validation = validateBarcode(code, format, this.getValidationOptions());
+        // A GS1 symbology identifier from the scanner marks FNC1 data explicitly
+        const gs1 = parseGS1(GS1_SYMBOLOGY_PREFIXES.includes(options.symbologyId) ? options.symbologyId + code : code, format);
+        const payload = classifyPayload(code, format);
+        const isProduct = payload.type === 'product';
         const scanData = {
             code,
             format,
+            gtin: gs1?.gtin || validation.gtin,
+            gs1,
+            payload: isProduct ? null : payload,
             timestamp: new Date().toISOString(),
-            product: null
+            source: options.source || 'camera',
+            thumbnail: options.thumbnail || null,
+            location: null,
+            meta: createEmptyMeta(),
+            product: isProduct ? null : payload.title,
+            productData: null
         };
         
         console.log('Processing scan:', scanData);
         
         this.addToHistory(scanData);
+        this.captureLocation(scanData);
         this.showResults(scanData);
         
-        if (this.settings.autoSearch) {
+        // URLs, Wi-Fi credentials, contacts etc. never go to the product databases
+        if (!isProduct) {
+            this.displayPayloadInfo(payload);
+        } else if (this.settings.autoSearch) {
             await this.searchProduct(code, format);
         }
+        
+        // Sent after the lookup so the payload carries the product name
+        if (this.settings.webhookOnScan) {
+            this.sendWebhook('scan', scanData);
+        }
+    }
+
+    getWebhookConfig() {
+        return {
+            url: this.settings.webhookUrl,
+            headers: parseWebhookHeaders(this.settings.webhookHeaders)
+        };
+    }
+
+    sendWebhook(event, entry) {
+        let body;
+        try {
+            body = renderWebhookTemplate(this.settings.webhookTemplate, createWebhookPayload(event, entry));
+        } catch (error) {
+            console.warn('Webhook template is not valid JSON:', error);
+            this.webhook.record({ event }, 'error', 'Template is not valid JSON - not sent');
+            return;
+        }
+        
+        this.webhook.enqueue(event, body);
+    }
+
+    updateWebhookLog() {
+        const outbox = document.getElementById('debugOutbox');
+        const log = document.getElementById('webhookLog');
+        
+        if (outbox) outbox.textContent = this.webhook.pending;
+        if (log) {
+            log.innerHTML = this.webhook.log.map(item => `
+                <li class="webhook-log__${item.status}" title="${this.escapeHtml(item.message)}">
+                    ${new Date(item.time).toLocaleTimeString()} ${this.escapeHtml(item.event)}: ${this.escapeHtml(item.message)}
+                </li>
+            `).join('');
+        }
     }
 
     async searchProduct(code, format) {
         console.log('Searching for product:', code, format);
         
+        const lookupCode = this.getLookupCode(code, format);
+        const cached = await this.productCache.get(lookupCode);
+        const maxAge = this.settings.productCacheDays * 24 * 60 * 60 * 1000;
+        
+        // Re-scans are served from the cache while it is fresh
+        if (cached && Date.now() - cached.cachedAt < maxAge) {
+            console.log('Serving cached product:', lookupCode);
+            this.displayProductInfo({ ...cached.product, cachedAt: cached.cachedAt }, code);
+            this.updateHistoryProduct(lookupCode, cached.product);
+            return;
+        }
+        
         try {
-            let productData = null;
+            const productData = await this.lookupProduct(code, lookupCode);
             
-            // Try Open Food Facts for numeric codes
-            if (this.isValidUPCorEAN(code)) {
-                productData = await this.searchOpenFoodFacts(code);
-            }
-            
-            // If no result, create fallback
-            if (!productData) {
-                productData = this.createFallbackResult(code);
+            if (productData) {
+                await this.productCache.put(lookupCode, productData);
+                this.updateHistoryProduct(lookupCode, productData);
+                this.displayProductInfo(productData, code);
+            } else {
+                // If no provider knows the code, create fallback
+                const fallback = this.createFallbackResult(lookupCode);
+                this.displayProductInfo(fallback, code);
+                if (this.scanHistory.length > 0 && !this.scanHistory[0].product) {
+                    this.scanHistory[0].product = fallback.name;
+                    this.saveHistory(this.scanHistory[0]);
+                }
             }
-            
-            this.displayProductInfo(productData, code);
         } catch (error) {
             console.error('Product search failed:', error);
-            this.displayProductError(code);
+            
+            // An outdated answer beats none when the network is gone
+            if (cached) {
+                this.displayProductInfo({ ...cached.product, cachedAt: cached.cachedAt, stale: true }, code);
+                this.updateHistoryProduct(lookupCode, cached.product);
+            } else if (!navigator.onLine || (error instanceof ProductLookupError && error.offline)) {
+                await this.queueLookup(lookupCode, code, format);
+            } else {
+                // The providers answered with errors - retrying when back online would not help
+                this.displayProductError(code, error instanceof ProductLookupError ? error.message : '');
+            }
         }
     }
 
-    isValidUPCorEAN(code) {
-        return /^\d{8,14}$/.test(code);
+    async lookupProduct(code, lookupCode) {
+        if (!navigator.onLine) {
+            throw new ProductLookupError('Offline', { offline: true });
+        }
+        
+        const codeInfo = describeCode(code, this.isValidUPCorEAN(lookupCode) ? lookupCode : null);
+        return this.productProviders.lookup(codeInfo, this.getProviderOptions());
+    }
+
+    async queueLookup(lookupCode, code, format) {
+        if (!(await this.lookupQueue.add(lookupCode, code, format))) {
+            this.displayProductError(code);
+            return;
+        }
+        
+        const pending = this.scanHistory.filter(scan => !scan.product && this.getLookupCode(scan.code, scan.format) === lookupCode);
+        pending.forEach(scan => {
+            scan.lookupPending = true;
+        });
+        this.saveHistory(pending);
+        this.displayLookupQueued(code);
     }
 
-    async searchOpenFoodFacts(code) {
+    async processLookupQueue() {
+        if (this.processingLookupQueue || !navigator.onLine) return;
+        this.processingLookupQueue = true;
+        
         try {
-            const url = `https://world.openfoodfacts.org/api/v0/product/${code}.json`;
-            console.log('Searching Open Food Facts:', url);
-            
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const data = await response.json();
+            const entries = await this.lookupQueue.list();
+            if (entries.length > 0) {
+                console.log(`Retrying ${entries.length} queued lookup(s)`);
+            }
             
-            if (data.status === 1 && data.product) {
-                const product = data.product;
-                return {
-                    name: product.product_name || product.product_name_en || 'Unknown Product',
-                    brand: product.brands || 'Unknown Brand',
-                    description: this.truncateText(product.ingredients_text_en || product.ingredients_text || ''),
-                    image: product.image_url || product.image_front_url || null,
-                    source: 'Open Food Facts',
-                    sourceUrl: `https://world.openfoodfacts.org/product/${code}`,
-                    categories: product.categories || '',
-                    nutritionGrades: product.nutrition_grades || null,
-                    labels: product.labels || ''
-                };
+            for (const entry of entries) {
+                let productData;
+                try {
+                    productData = await this.lookupProduct(entry.code, entry.lookupCode);
+                } catch (error) {
+                    // Still failing - keep it for the next 'online' event
+                    console.warn('Queued lookup failed again:', entry.lookupCode, error);
+                    continue;
+                }
+                
+                await this.lookupQueue.remove(entry.lookupCode);
+                
+                if (productData) {
+                    await this.productCache.put(entry.lookupCode, productData);
+                }
+                this.updateHistoryProduct(entry.lookupCode, productData);
+                
+                // Refresh the results panel if it is still showing this code
+                if (this.currentScan && this.getLookupCode(this.currentScan.code, this.currentScan.format) === entry.lookupCode) {
+                    this.displayProductInfo(productData || this.createFallbackResult(entry.lookupCode), this.currentScan.code);
+                }
             }
-        } catch (error) {
-            console.error('Open Food Facts search failed:', error);
+        } finally {
+            this.processingLookupQueue = false;
+        }
+    }
+
+    updateHistoryProduct(lookupCode, productData) {
+        const changed = this.scanHistory.filter(scan =>
+            scan.type !== 'batch' && !scan.payload && this.getLookupCode(scan.code, scan.format) === lookupCode);
+        
+        changed.forEach(scan => {
+            if (productData) {
+                // Keep the whole snapshot so history can rebuild the full card
+                scan.product = productData.name;
+                scan.productData = productData;
+            }
+            delete scan.lookupPending;
+        });
+        
+        if (changed.length > 0) {
+            this.saveHistory(changed);
+            this.updateHistoryDisplay();
         }
-        return null;
+    }
+
+    async clearProductCache() {
+        await this.productCache.clear();
+        console.log('Product cache cleared');
+    }
+
+    getLookupCode(code, format) {
+        // Look up by the normalised GTIN so UPC-E, GS1 element strings and padded codes match
+        const gs1 = parseGS1(code, format);
+        const gtin = gs1?.gtin || validateBarcode(code, format, this.getValidationOptions()).gtin;
+        return gtin ? gtin.replace(/^0(?=\d{13}$)/, '') : code;
+    }
+
+    isValidUPCorEAN(code) {
+        return isValidGTIN(code);
+    }
+
+    getProviderOptions() {
+        return {
+            order: this.settings.providerOrder,
+            enabled: this.settings.providerEnabled,
+            timeouts: this.settings.providerTimeouts,
+            defaultTimeout: 5000,
+            custom: { url: this.settings.customProviderUrl }
+        };
     }
 
     createFallbackResult(code) {
@@ -646,93 +1914,356 @@ class BarcodeScanner {
             return;
         }
         
+        // Only name the source per field when several providers were merged
+        const fieldSources = productData.fieldSources || {};
+        const merged = (productData.sources || []).length > 1;
+        const via = field => merged && fieldSources[field]
+            ? ` <span class="field-source">via ${this.escapeHtml(fieldSources[field])}</span>`
+            : '';
+        
         let html = `<div class="product-card">`;
         
-        if (productData.image) {
-            html += `<img src="${productData.image}" alt="${productData.name}" class="product-image" onerror="this.style.display='none'">`;
+        if (isWebUrl(productData.image)) {
+            html += `<img src="${this.escapeHtml(productData.image)}" alt="${this.escapeHtml(productData.name)}" class="product-image" onerror="this.style.display='none'">`;
         }
         
-        html += `<h4>${this.escapeHtml(productData.name)}</h4>`;
+        if (productData.cachedAt) {
+            const savedAt = new Date(productData.cachedAt).toLocaleString();
+            html += `<span class="status ${productData.stale ? 'status--warning' : 'status--info'} product-card__badge" title="Saved ${savedAt}">${productData.stale ? 'Cached (offline, may be outdated)' : 'Cached'}</span>`;
+        }
+        
+        html += `<h4>${this.escapeHtml(productData.name)}${via('name')}</h4>`;
         
         if (productData.brand && productData.brand !== 'Unknown') {
-            html += `<p><strong>Brand:</strong> ${this.escapeHtml(productData.brand)}</p>`;
+            html += `<p><strong>Brand:</strong> ${this.escapeHtml(productData.brand)}${via('brand')}</p>`;
         }
         
         if (productData.description) {
-            html += `<p><strong>Description:</strong> ${this.escapeHtml(productData.description)}</p>`;
+            html += `<p><strong>Description:</strong> ${this.escapeHtml(productData.description)}${via('description')}</p>`;
         }
         
         if (productData.categories) {
-            html += `<p><strong>Categories:</strong> ${this.escapeHtml(productData.categories)}</p>`;
+            html += `<p><strong>Categories:</strong> ${this.escapeHtml(productData.categories)}${via('categories')}</p>`;
         }
         
         if (productData.nutritionGrades) {
-            html += `<p><strong>Nutrition Grade:</strong> ${productData.nutritionGrades.toUpperCase()}</p>`;
+            html += `<p><strong>Nutrition Grade:</strong> ${this.escapeHtml(productData.nutritionGrades.toUpperCase())}${via('nutritionGrades')}</p>`;
+        }
+        
+        if (merged && fieldSources.image) {
+            html += `<p><strong>Image:</strong> ${this.escapeHtml(fieldSources.image)}</p>`;
         }
         
         html += `<p><strong>Source:</strong> ${this.escapeHtml(productData.source)}</p>`;
         
         html += `<div class="product-links">`;
         
-        if (productData.sourceUrl) {
-            html += `<a href="${this.escapeHtml(productData.sourceUrl)}" target="_blank">View Original</a>`;
+        // Provider and custom-endpoint URLs go through the same link check as scanned ones
+        if (isWebUrl(productData.sourceUrl)) {
+            html += `<a href="${this.escapeHtml(productData.sourceUrl)}" target="_blank" rel="noopener noreferrer" data-inspect>View Original</a>`;
         }
         
         if (productData.searchLinks) {
-            productData.searchLinks.forEach(link => {
-                html += `<a href="${this.escapeHtml(link.url)}" target="_blank">${this.escapeHtml(link.name)}</a>`;
+            productData.searchLinks.filter(link => isWebUrl(link.url)).forEach(link => {
+                html += `<a href="${this.escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer" data-inspect>${this.escapeHtml(link.name)}</a>`;
             });
         } else {
-            html += `<a href="https://www.google.com/search?q=${encodeURIComponent(productData.name)}" target="_blank">Search Google</a>`;
+            html += `<a href="https://www.google.com/search?q=${encodeURIComponent(productData.name)}" target="_blank" rel="noopener noreferrer">Search Google</a>`;
         }
         
         html += `</div></div>`;
         
         productInfo.innerHTML = html;
+    }
+
+    displayPayloadInfo(payload) {
+        const productInfo = document.getElementById('productInfo');
+        if (!productInfo) return;
         
-        // Update history with product info
-        if (this.scanHistory.length > 0) {
-            this.scanHistory[0].product = productData.name;
-            this.saveHistory();
+        this.currentPayload = payload;
+        const esc = value => this.escapeHtml(value);
+        const row = (label, value, copy = false) => value ? `
+            <div class="payload-row">
+                <span class="payload-row__label">${label}</span>
+                <span class="payload-row__value">${esc(value)}</span>
+                ${copy ? `<button class="btn btn--sm btn--outline" type="button" data-copy="${esc(value)}">Copy</button>` : ''}
+            </div>
+        ` : '';
+        const formatDate = value => (value ? new Date(value).toLocaleString() : '');
+        
+        let body = '';
+        let actions = '';
+        
+        switch (payload.type) {
+            case 'url': {
+                const inspection = inspectUrl(payload.url, this.getLinkSafetyOptions());
+                body = row('Site', inspection.displayHost || 'Unknown') +
+                    (inspection.displayHost !== inspection.host ? row('Real host', inspection.host) : '') +
+                    row('URL', payload.url, true) +
+                    this.renderLinkWarnings(inspection);
+                actions = inspection.verdict === 'blocked'
+                    ? ''
+                    : `<a href="${esc(inspection.href)}" data-inspect>Open Link</a>`;
+                break;
+            }
+                
+            case 'wifi':
+                body = row('Network', payload.ssid, true) +
+                    row('Password', payload.password, true) +
+                    row('Security', payload.security === 'nopass' ? 'Open' : payload.security) +
+                    (payload.hidden ? row('Hidden', 'Yes') : '');
+                break;
+                
+            case 'contact':
+                body = row('Name', payload.name) +
+                    row('Organization', payload.organization) +
+                    row('Title', payload.jobTitle) +
+                    payload.phones.map(phone => row('Phone', phone, true)).join('') +
+                    payload.emails.map(email => row('Email', email, true)).join('') +
+                    row('Address', payload.address);
+                actions = `<button class="btn btn--sm btn--primary" type="button" data-download="vcf">Save Contact (.vcf)</button>` +
+                    payload.phones.map(phone => `<a href="tel:${esc(phone)}">Call ${esc(phone)}</a>`).join('') +
+                    payload.emails.map(email => `<a href="mailto:${esc(email)}">Email</a>`).join('') +
+                    payload.urls.map(url => `<a href="${esc(url)}" data-inspect>${esc(url)}</a>`).join('');
+                break;
+                
+            case 'event':
+                body = row('Event', payload.summary) +
+                    row('Starts', formatDate(payload.start)) +
+                    row('Ends', formatDate(payload.end)) +
+                    row('Location', payload.location) +
+                    row('Details', payload.description);
+                actions = `<button class="btn btn--sm btn--primary" type="button" data-download="ics">Add to Calendar (.ics)</button>`;
+                break;
+                
+            case 'geo':
+                body = row('Place', payload.label) +
+                    row('Coordinates', `${payload.latitude}, ${payload.longitude}`, true);
+                actions = `<a href="${esc(payload.mapUrl)}" target="_blank" rel="noopener noreferrer">Open Map</a>`;
+                break;
+                
+            case 'sms':
+                body = row('To', payload.number, true) + row('Message', payload.body, true);
+                actions = `<a href="${esc(payload.href)}">Compose SMS</a>`;
+                break;
+                
+            case 'email':
+                body = row('To', payload.to, true) + row('Subject', payload.subject) + row('Message', payload.body);
+                actions = `<a href="${esc(payload.href)}">Compose Email</a>`;
+                break;
+                
+            case 'phone':
+                body = row('Number', payload.number, true);
+                actions = `<a href="${esc(payload.href)}">Call</a>`;
+                break;
+                
+            default:
+                body = `<p class="payload-text">${esc(payload.text)}</p>`;
+                actions = `<button class="btn btn--sm btn--outline" type="button" data-copy="${esc(payload.text)}">Copy Text</button>`;
         }
+        
+        productInfo.innerHTML = `
+            <div class="product-card payload-card payload-card--${payload.type}">
+                <h4>${esc(payload.title)}</h4>
+                ${body}
+                ${actions ? `<div class="product-links">${actions}</div>` : ''}
+            </div>
+        `;
+    }
+
+    handleProductInfoClick(e) {
+        const inspectLink = e.target.closest('a[data-inspect]');
+        if (inspectLink) {
+            e.preventDefault();
+            this.openInspectedLink(inspectLink.getAttribute('href'), inspectLink.textContent);
+            return;
+        }
+        
+        const copyButton = e.target.closest('[data-copy]');
+        if (copyButton) {
+            this.copyText(copyButton.dataset.copy, copyButton);
+            return;
+        }
+        
+        const downloadButton = e.target.closest('[data-download]');
+        if (downloadButton && this.currentPayload) {
+            const payload = this.currentPayload;
+            const name = (payload.title || 'download').replace(/[^\w.-]+/g, '_').slice(0, 40);
+            
+            if (downloadButton.dataset.download === 'vcf') {
+                this.downloadFile(`${name}.vcf`, payload.vcard, 'text/vcard');
+            } else if (downloadButton.dataset.download === 'ics') {
+                this.downloadFile(`${name}.ics`, payload.ics, 'text/calendar');
+            }
+        }
+    }
+
+    getLinkSafetyOptions(displayText = '') {
+        return {
+            allowList: this.settings.linkAllowList,
+            denyList: this.settings.linkDenyList,
+            displayText
+        };
+    }
+
+    renderLinkWarnings(inspection) {
+        if (inspection.warnings.length === 0) {
+            return '<p class="link-verdict link-verdict--safe">No warning signs found</p>';
+        }
+        
+        return `
+            <ul class="link-warnings">
+                ${inspection.warnings.map(warning => `
+                    <li class="link-warnings__item link-warnings__item--${warning.level}">${this.escapeHtml(warning.message)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    openInspectedLink(url, displayText) {
+        const inspection = inspectUrl(url, this.getLinkSafetyOptions(displayText));
+        
+        // Hosts the user already trusts open straight away
+        if (inspection.allowListed) {
+            window.open(inspection.href, '_blank', 'noopener,noreferrer');
+            return;
+        }
+        
+        this.pendingLink = inspection;
+        
+        const elements = {
+            linkHost: document.getElementById('linkHost'),
+            linkUrl: document.getElementById('linkUrl'),
+            linkWarnings: document.getElementById('linkWarnings'),
+            openLinkBtn: document.getElementById('openLinkBtn'),
+            trustHostBtn: document.getElementById('trustHostBtn'),
+            blockHostBtn: document.getElementById('blockHostBtn')
+        };
+        
+        const blocked = inspection.verdict === 'blocked';
+        if (elements.linkHost) elements.linkHost.textContent = inspection.displayHost || 'Unknown';
+        if (elements.linkUrl) elements.linkUrl.textContent = inspection.href;
+        if (elements.linkWarnings) elements.linkWarnings.innerHTML = this.renderLinkWarnings(inspection);
+        if (elements.openLinkBtn) {
+            elements.openLinkBtn.classList.toggle('hidden', blocked);
+            elements.openLinkBtn.textContent = inspection.verdict === 'safe' ? 'Open' : 'Open Anyway';
+        }
+        elements.trustHostBtn?.classList.toggle('hidden', blocked || !inspection.host);
+        elements.blockHostBtn?.classList.toggle('hidden', blocked || !inspection.host);
+        
+        this.showModal('linkModal');
+    }
+
+    confirmPendingLink() {
+        if (this.pendingLink && this.pendingLink.verdict !== 'blocked') {
+            window.open(this.pendingLink.href, '_blank', 'noopener,noreferrer');
+        }
+        this.pendingLink = null;
+        this.hideModal('linkModal');
+    }
+
+    updateLinkLists(listName) {
+        if (!this.pendingLink || !this.pendingLink.host) return;
+        
+        const host = this.pendingLink.host;
+        const other = listName === 'linkAllowList' ? 'linkDenyList' : 'linkAllowList';
+        this.settings[other] = this.settings[other].filter(entry => entry !== host);
+        if (!this.settings[listName].includes(host)) {
+            this.settings[listName].push(host);
+        }
+        this.saveSettings();
+        this.loadSettingsUI();
+        
+        if (listName === 'linkAllowList') {
+            this.confirmPendingLink();
+        } else {
+            this.pendingLink = null;
+            this.hideModal('linkModal');
+        }
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     escapeHtml(text) {
         if (!text) return '';
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, since decoded payloads end up inside attributes
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
-    displayProductError(code) {
+    displayProductError(code, reason = '') {
         const productInfo = document.getElementById('productInfo');
         if (productInfo) {
             productInfo.innerHTML = `
                 <div class="product-card api-error">
                     <h4>Product Search Failed</h4>
                     <p>Unable to find product information for code: ${this.escapeHtml(code)}</p>
+                    ${reason ? `<p class="setting-hint">${this.escapeHtml(reason)}</p>` : ''}
                     <div class="product-links">
-                        <a href="https://www.google.com/search?q=${encodeURIComponent(code)}+barcode+product" target="_blank">Search Google</a>
-                        <a href="https://www.amazon.com/s?k=${encodeURIComponent(code)}" target="_blank">Search Amazon</a>
-                        <a href="https://www.upcitemdb.com/upc/${encodeURIComponent(code)}" target="_blank">UPC Database</a>
+                        <a href="https://www.google.com/search?q=${encodeURIComponent(code)}+barcode+product" target="_blank" rel="noopener noreferrer">Search Google</a>
+                        <a href="https://www.amazon.com/s?k=${encodeURIComponent(code)}" target="_blank" rel="noopener noreferrer">Search Amazon</a>
+                        <a href="https://www.upcitemdb.com/upc/${encodeURIComponent(code)}" target="_blank" rel="noopener noreferrer">UPC Database</a>
                     </div>
                 </div>
             `;
         }
     }
 
+    displayLookupQueued(code) {
+        const productInfo = document.getElementById('productInfo');
+        if (productInfo) {
+            productInfo.innerHTML = `
+                <div class="product-card api-error">
+                    <h4>Offline - Lookup Queued</h4>
+                    <p>Product details for ${this.escapeHtml(code)} will be fetched automatically when the connection returns.</p>
+                </div>
+            `;
+        }
+    }
+
     showResults(scanData) {
+        this.currentScan = scanData;
+        
         const elements = {
             scannedCode: document.getElementById('scannedCode'),
+            scannedGtin: document.getElementById('scannedGtin'),
             codeFormat: document.getElementById('codeFormat'),
             scanTime: document.getElementById('scanTime'),
             productInfo: document.getElementById('productInfo')
         };
         
         if (elements.scannedCode) elements.scannedCode.textContent = scanData.code;
+        if (elements.scannedGtin) elements.scannedGtin.textContent = scanData.gtin || '';
+        document.getElementById('gtinRow')?.classList.toggle('hidden', !scanData.gtin);
         if (elements.codeFormat) elements.codeFormat.textContent = scanData.format;
         if (elements.scanTime) elements.scanTime.textContent = new Date(scanData.timestamp).toLocaleString();
         
+        this.displayGS1Info(scanData.gs1);
+        this.showScanLocation(scanData.location);
+        this.renderScanMeta(scanData);
+        document.getElementById('regenerateBtn')?.classList.toggle('hidden', scanData.type === 'batch');
+        
+        const thumbnail = document.getElementById('scanThumbnail');
+        if (thumbnail) {
+            thumbnail.classList.toggle('hidden', !scanData.thumbnail);
+            if (scanData.thumbnail) {
+                thumbnail.src = scanData.thumbnail;
+            } else {
+                thumbnail.removeAttribute('src');
+            }
+        }
+        
         if (elements.productInfo) {
             elements.productInfo.innerHTML = `
                 <div class="product-loading">
@@ -748,6 +2279,166 @@ class BarcodeScanner {
         }
     }
 
+    renderScanMeta(scan) {
+        const container = document.getElementById('scanMeta');
+        if (!container) return;
+        
+        container.classList.toggle('hidden', scan.type === 'batch');
+        if (scan.type === 'batch') return;
+        
+        const meta = { ...createEmptyMeta(), ...scan.meta };
+        const esc = value => this.escapeHtml(value === null || value === undefined ? '' : String(value));
+        const option = (value, selected) => `<option value="${esc(value)}" ${value === selected ? 'selected' : ''}>${esc(value) || '—'}</option>`;
+        
+        const customFields = this.settings.customFields.map(field => {
+            const value = meta.custom[field.id] ?? '';
+            let input;
+            if (field.type === 'select') {
+                input = `<select class="form-control" data-custom="${esc(field.id)}">${['', ...field.options].map(choice => option(choice, value)).join('')}</select>`;
+            } else {
+                input = `<input type="${field.type === 'number' ? 'number' : 'text'}" class="form-control" data-custom="${esc(field.id)}" value="${esc(value)}">`;
+            }
+            return `<label class="scan-meta__field"><span class="form-label">${esc(field.label)}</span>${input}</label>`;
+        }).join('');
+        
+        container.open = hasMeta(meta);
+        container.innerHTML = `
+            <summary>Audit details</summary>
+            <div class="scan-meta__grid">
+                <label class="scan-meta__field">
+                    <span class="form-label">Location / bin</span>
+                    <input type="text" class="form-control" data-meta="bin" value="${esc(meta.bin)}">
+                </label>
+                <label class="scan-meta__field">
+                    <span class="form-label">Quantity</span>
+                    <input type="number" class="form-control" data-meta="quantity" min="0" step="any" value="${esc(meta.quantity)}">
+                </label>
+                <label class="scan-meta__field">
+                    <span class="form-label">Condition</span>
+                    <select class="form-control" data-meta="condition">${['', ...CONDITION_OPTIONS].map(choice => option(choice, meta.condition)).join('')}</select>
+                </label>
+                <label class="scan-meta__field">
+                    <span class="form-label">Tags</span>
+                    <input type="text" class="form-control" data-meta="tags" placeholder="recount, shelf-3" value="${esc(meta.tags.join(', '))}">
+                </label>
+                ${customFields}
+            </div>
+            <label class="scan-meta__field">
+                <span class="form-label">Note</span>
+                <textarea class="form-control" data-meta="note" rows="2">${esc(meta.note)}</textarea>
+            </label>
+            <div class="scan-meta__photo">
+                ${meta.photo ? `<img src="${esc(meta.photo)}" alt="Photo attached to this scan">` : ''}
+                <label class="btn btn--sm btn--outline">
+                    ${meta.photo ? 'Replace photo' : 'Add photo'}
+                    <input type="file" accept="image/*" capture="environment" class="hidden" data-meta-photo>
+                </label>
+                ${meta.photo ? '<button class="btn btn--sm btn--outline" type="button" data-remove-photo>Remove photo</button>' : ''}
+            </div>
+        `;
+    }
+
+    async handleScanMetaChange(e) {
+        const scan = this.currentScan;
+        if (!scan) return;
+        
+        const meta = { ...createEmptyMeta(), ...scan.meta };
+        
+        if (e.target.matches('[data-meta-photo]')) {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                meta.photo = await resizePhoto(file);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            scan.meta = meta;
+            this.renderScanMeta(scan);
+        } else {
+            const container = document.getElementById('scanMeta');
+            const read = name => container.querySelector(`[data-meta="${name}"]`)?.value ?? '';
+            const quantity = parseFloat(read('quantity'));
+            
+            meta.bin = read('bin').trim();
+            meta.quantity = isNaN(quantity) ? null : quantity;
+            meta.condition = read('condition');
+            meta.tags = parseTags(read('tags'));
+            meta.note = read('note');
+            meta.custom = { ...meta.custom };
+            container.querySelectorAll('[data-custom]').forEach(input => {
+                const field = this.settings.customFields.find(definition => definition.id === input.dataset.custom);
+                const value = field?.type === 'number' && input.value !== '' ? parseFloat(input.value) : input.value;
+                meta.custom[input.dataset.custom] = value;
+            });
+            scan.meta = meta;
+        }
+        
+        this.saveHistory(scan);
+        this.updateHistoryDisplay();
+    }
+
+    removeScanPhoto() {
+        const scan = this.currentScan;
+        if (!scan || !scan.meta || !confirm('Remove the photo from this scan?')) return;
+        
+        scan.meta = { ...scan.meta, photo: null };
+        this.saveHistory(scan);
+        this.renderScanMeta(scan);
+        this.updateHistoryDisplay();
+    }
+
+    getMetaSummary(meta) {
+        return [
+            meta.bin && `Bin ${meta.bin}`,
+            meta.quantity !== null && meta.quantity !== undefined && `Qty ${meta.quantity}`,
+            meta.condition,
+            (meta.tags || []).map(tag => `#${tag}`).join(' '),
+            meta.photo && '📷',
+            meta.note && '📝'
+        ].filter(Boolean).join(' · ');
+    }
+
+    showScanLocation(location) {
+        const link = document.getElementById('scanLocation');
+        document.getElementById('locationRow')?.classList.toggle('hidden', !location);
+        if (!link || !location) return;
+        
+        const { latitude, longitude, accuracy } = location;
+        link.textContent = `${latitude.toFixed(5)}, ${longitude.toFixed(5)} (±${accuracy} m)`;
+        link.href = `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=17/${latitude}/${longitude}`;
+    }
+
+    displayGS1Info(gs1) {
+        const gs1Info = document.getElementById('gs1Info');
+        if (!gs1Info) return;
+        
+        if (!gs1) {
+            gs1Info.innerHTML = '';
+            gs1Info.classList.add('hidden');
+            return;
+        }
+        
+        const rows = gs1.elements.map(element => {
+            const expired = element.ai === '17' && gs1.isExpired;
+            return `
+                <tr>
+                    <th>${this.escapeHtml(element.title)} <span class="gs1-table__ai">(${this.escapeHtml(element.ai)})</span></th>
+                    <td>
+                        ${this.escapeHtml(element.display)}
+                        ${expired ? '<span class="status status--error">Expired</span>' : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+        
+        gs1Info.innerHTML = `
+            <h4>GS1 Data <span class="gs1-info__source">${this.escapeHtml(gs1.source)}</span></h4>
+            <table class="gs1-table"><tbody>${rows}</tbody></table>
+        `;
+        gs1Info.classList.remove('hidden');
+    }
+
     hideResults() {
         const resultsPanel = document.getElementById('resultsPanel');
         if (resultsPanel) {
@@ -770,17 +2461,19 @@ class BarcodeScanner {
         const codeElement = document.getElementById('scannedCode');
         if (!codeElement) return;
         
-        const code = codeElement.textContent;
+        await this.copyText(codeElement.textContent, document.getElementById('copyCodeBtn'));
+    }
+
+    async copyText(text, btn) {
         try {
-            await navigator.clipboard.writeText(code);
-            this.showCopyFeedback();
+            await navigator.clipboard.writeText(text);
+            this.showCopyFeedback(btn);
         } catch (error) {
-            this.fallbackCopy(code);
+            this.fallbackCopy(text, btn);
         }
     }
 
-    showCopyFeedback() {
-        const btn = document.getElementById('copyCodeBtn');
+    showCopyFeedback(btn) {
         if (btn) {
             const originalText = btn.textContent;
             btn.textContent = 'Copied!';
@@ -792,7 +2485,7 @@ class BarcodeScanner {
         }
     }
 
-    fallbackCopy(text) {
+    fallbackCopy(text, btn) {
         const textArea = document.createElement('textarea');
         textArea.value = text;
         textArea.style.position = 'fixed';
@@ -802,7 +2495,7 @@ class BarcodeScanner {
         
         try {
             document.execCommand('copy');
-            this.showCopyFeedback();
+            this.showCopyFeedback(btn);
         } catch (err) {
             console.error('Copy failed:', err);
         }
@@ -811,11 +2504,10 @@ class BarcodeScanner {
     }
 
     addToHistory(scanData) {
+        scanData.id = scanData.id || createHistoryId();
         this.scanHistory.unshift(scanData);
-        if (this.scanHistory.length > 50) {
-            this.scanHistory = this.scanHistory.slice(0, 50);
-        }
-        this.saveHistory();
+        this.saveHistory(scanData);
+        this.pruneHistory();
     }
 
     toggleDebug() {
@@ -843,16 +2535,37 @@ class BarcodeScanner {
         this.updateDebugDisplay(fps);
     }
 
+    getAverageDecodeLatency() {
+        if (this.decodeLatencies.length === 0) return 0;
+        const total = this.decodeLatencies.reduce((sum, latency) => sum + latency, 0);
+        return total / this.decodeLatencies.length;
+    }
+
     updateDebugDisplay(fps = 0) {
         const elements = {
             debugLastCode: document.getElementById('debugLastCode'),
             debugCount: document.getElementById('debugCount'),
-            debugRate: document.getElementById('debugRate')
+            debugRate: document.getElementById('debugRate'),
+            debugLatency: document.getElementById('debugLatency'),
+            debugEngine: document.getElementById('debugEngine'),
+            debugPreprocess: document.getElementById('debugPreprocess')
         };
         
         if (elements.debugLastCode) elements.debugLastCode.textContent = this.lastDetectedCode || 'None';
-        if (elements.debugCount) elements.debugCount.textContent = this.detectionHistory.length;
+        if (elements.debugCount) elements.debugCount.textContent = this.confirmation.reads.length;
         if (elements.debugRate) elements.debugRate.textContent = `${fps.toFixed(1)} FPS`;
+        if (elements.debugLatency) elements.debugLatency.textContent = `${this.getAverageDecodeLatency().toFixed(0)} ms`;
+        if (elements.debugEngine) elements.debugEngine.textContent = this.decoder ? this.decoder.getLabel() : 'None';
+        if (elements.debugPreprocess) elements.debugPreprocess.textContent = this.getPreprocessSummary();
+        this.updateWebhookLog();
+    }
+
+    getPreprocessSummary() {
+        if (!this.settings.preprocessEnabled) return 'Off';
+        if (!this.lastPreprocessHit) return 'No reads yet';
+        
+        const counts = Object.entries(this.preprocessHits).map(([label, count]) => `${label} ${count}`);
+        return `${this.lastPreprocessHit} (${counts.join(', ')})`;
     }
 
     async toggleFlash() {
@@ -882,9 +2595,34 @@ class BarcodeScanner {
     async switchCamera() {
         if (!this.stream) return;
         
-        this.currentCamera = this.currentCamera === 'environment' ? 'user' : 'environment';
-        this.stream.getTracks().forEach(track => track.stop());
+        if (this.cameraDevices.length > 1) {
+            // Step through every camera (wide, tele, external), not just front/back
+            const currentId = this.stream.getVideoTracks()[0].getSettings().deviceId;
+            const index = this.cameraDevices.findIndex(device => device.deviceId === currentId);
+            this.settings.cameraDeviceId = this.cameraDevices[(index + 1) % this.cameraDevices.length].deviceId;
+            this.saveSettings();
+        } else {
+            this.currentCamera = this.currentCamera === 'environment' ? 'user' : 'environment';
+        }
+        
+        await this.restartCamera();
+    }
+
+    // Reopen the camera with the current device and resolution, resuming a running scan
+    async restartCamera() {
+        const wasScanning = this.isScanning;
+        this.stopScanning();
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.flashEnabled = false;
+        
         await this.requestCameraPermission();
+        if (wasScanning && this.stream) {
+            this.startScanning();
+        }
     }
 
     showError(message) {
@@ -902,33 +2640,355 @@ class BarcodeScanner {
         this.showModal('historyModal');
     }
 
+    updateHistoryFilters() {
+        this.historyFilters = {
+            query: document.getElementById('historySearch')?.value.trim() || '',
+            format: document.getElementById('historyFormatFilter')?.value || '',
+            from: document.getElementById('historyFrom')?.value || '',
+            to: document.getElementById('historyTo')?.value || '',
+            collapseDuplicates: document.getElementById('historyCollapse')?.checked ?? true
+        };
+        this.updateHistoryDisplay();
+    }
+
+    getVisibleHistory() {
+        return filterHistory(this.scanHistory, this.historyFilters);
+    }
+
+    updateHistoryFormatOptions() {
+        const select = document.getElementById('historyFormatFilter');
+        if (!select) return;
+        
+        const formats = [...new Set(this.scanHistory.map(scan => scan.format))].sort();
+        select.innerHTML = '<option value="">All formats</option>' + formats.map(format =>
+            `<option value="${this.escapeHtml(format)}">${this.escapeHtml(format)}</option>`).join('');
+        // Keep the current filter even if its last entry was just deleted
+        if (this.historyFilters.format && !formats.includes(this.historyFilters.format)) {
+            select.insertAdjacentHTML('beforeend', `<option value="${this.escapeHtml(this.historyFilters.format)}">${this.escapeHtml(this.historyFilters.format)}</option>`);
+        }
+        select.value = this.historyFilters.format;
+    }
+
     updateHistoryDisplay() {
         const historyList = document.getElementById('historyList');
         if (!historyList) return;
         
+        // Drop selections whose entries no longer exist
+        const ids = new Set(this.scanHistory.map(scan => scan.id));
+        this.historySelection.forEach(id => {
+            if (!ids.has(id)) this.historySelection.delete(id);
+        });
+        
+        this.updateHistoryFormatOptions();
+        this.updateHistorySelectionBar();
+        
         if (this.scanHistory.length === 0) {
             historyList.innerHTML = '<p class="empty-history">No scans yet. Start scanning to see your history here.</p>';
             return;
         }
         
-        historyList.innerHTML = this.scanHistory.map((scan, index) => `
-            <div class="history-item" onclick="app.showHistoryDetails(${index})">
-                <div class="history-item__header">
-                    <span class="history-item__code">${this.escapeHtml(scan.code)}</span>
-                    <span class="history-item__format">${this.escapeHtml(scan.format)}</span>
+        const visible = this.getVisibleHistory();
+        if (visible.length === 0) {
+            historyList.innerHTML = '<p class="empty-history">No scans match these filters.</p>';
+            return;
+        }
+        
+        const groups = groupHistory(visible, { collapseDuplicates: this.historyFilters.collapseDuplicates });
+        historyList.innerHTML = groups.map(group => `
+            <section class="history-day">
+                <h4 class="history-day__label">${this.escapeHtml(group.label)} <span class="history-day__count">${group.rows.reduce((sum, row) => sum + row.count, 0)}</span></h4>
+                ${group.rows.map(row => this.renderHistoryRow(row)).join('')}
+            </section>
+        `).join('');
+    }
+
+    renderHistoryRow({ entry: scan, ids, count }) {
+        const selected = ids.every(id => this.historySelection.has(id));
+        
+        return `
+            <div class="history-item ${selected ? 'history-item--selected' : ''}" data-ids="${this.escapeHtml(ids.join(','))}">
+                <input type="checkbox" class="history-item__select" data-select aria-label="Select ${this.escapeHtml(scan.code)}" ${selected ? 'checked' : ''}>
+                <div class="history-item__body">
+                    <div class="history-item__header">
+                        <span class="history-item__code">${this.escapeHtml(scan.code)}</span>
+                        <span class="history-item__format">${this.escapeHtml(scan.format)}</span>
+                    </div>
+                    <div class="history-item__time">
+                        ${new Date(scan.timestamp).toLocaleTimeString()}
+                        ${count > 1 ? `<span class="history-item__count">×${count}</span>` : ''}
+                    </div>
+                    ${scan.product ? `<p class="history-item__product">${this.escapeHtml(scan.product)}</p>` : ''}
+                    ${hasMeta(scan.meta) ? `<p class="history-item__meta">${this.escapeHtml(this.getMetaSummary(scan.meta))}</p>` : ''}
+                    ${scan.lookupPending ? '<span class="status status--warning">Lookup queued</span>' : ''}
                 </div>
-                <div class="history-item__time">${new Date(scan.timestamp).toLocaleString()}</div>
-                ${scan.product ? `<p class="history-item__product">${this.escapeHtml(scan.product)}</p>` : ''}
             </div>
-        `).join('');
+        `;
+    }
+
+    handleHistoryListClick(e) {
+        const row = e.target.closest('[data-ids]');
+        if (!row) return;
+        
+        const ids = row.dataset.ids.split(',');
+        
+        if (e.target.matches('[data-select]')) {
+            ids.forEach(id => (e.target.checked ? this.historySelection.add(id) : this.historySelection.delete(id)));
+            row.classList.toggle('history-item--selected', e.target.checked);
+            this.updateHistorySelectionBar();
+            return;
+        }
+        
+        // Collapsed rows open their newest scan
+        this.showHistoryDetails(ids[0]);
+    }
+
+    toggleSelectAllHistory() {
+        const visibleIds = this.getVisibleHistory().map(scan => scan.id);
+        const allSelected = visibleIds.length > 0 && visibleIds.every(id => this.historySelection.has(id));
+        
+        visibleIds.forEach(id => (allSelected ? this.historySelection.delete(id) : this.historySelection.add(id)));
+        this.updateHistoryDisplay();
+    }
+
+    updateHistorySelectionBar() {
+        const count = this.historySelection.size;
+        const label = document.getElementById('historySelectionCount');
+        if (label) label.textContent = `${count} selected`;
+        document.getElementById('historySelectionBar')?.classList.toggle('hidden', count === 0);
+    }
+
+    getSelectedHistory() {
+        return this.scanHistory.filter(scan => this.historySelection.has(scan.id));
+    }
+
+    async deleteSelectedHistory() {
+        const selected = this.getSelectedHistory();
+        if (selected.length === 0 || !confirm(`Delete ${selected.length} selected scans?`)) return;
+        
+        const ids = new Set(selected.map(scan => scan.id));
+        this.scanHistory = this.scanHistory.filter(scan => !ids.has(scan.id));
+        this.historySelection.clear();
+        await this.historyStore.delete([...ids]);
+        this.updateHistoryDisplay();
+    }
+
+    showExportModal(entries = null, scope = null) {
+        const filtered = Object.entries(this.historyFilters).some(([key, value]) => key !== 'collapseDuplicates' && value);
+        this.exportEntries = entries || this.getVisibleHistory();
+        if (this.exportEntries.length === 0) return;
+        
+        const scopeLabel = scope === 'selected' ? 'selected' : filtered ? 'matching the current filters' : 'in your history';
+        const scopeText = document.getElementById('exportScope');
+        if (scopeText) scopeText.textContent = `${this.exportEntries.length} scans ${scopeLabel}`;
+        
+        const format = document.getElementById('exportFormat');
+        const delimiter = document.getElementById('exportDelimiter');
+        if (format) format.value = this.settings.exportFormat;
+        if (delimiter) delimiter.value = this.settings.exportDelimiter;
+        
+        const columns = document.getElementById('exportColumns');
+        if (columns) {
+            columns.innerHTML = getAvailableColumns(this.settings.customFields).map(column => `
+                <label class="checkbox-label">
+                    <input type="checkbox" value="${this.escapeHtml(column.id)}" ${this.settings.exportColumns.includes(column.id) ? 'checked' : ''}> ${this.escapeHtml(column.label)}
+                </label>
+            `).join('');
+        }
+        
+        this.updateExportOptionsUI();
+        this.showModal('exportModal');
+    }
+
+    readExportOptions() {
+        const checked = [...document.querySelectorAll('#exportColumns input:checked')].map(input => input.value);
+        
+        this.settings.exportFormat = document.getElementById('exportFormat')?.value || 'csv';
+        this.settings.exportDelimiter = document.getElementById('exportDelimiter')?.value || 'comma';
+        // Keep the table's column order rather than click order
+        this.settings.exportColumns = getAvailableColumns(this.settings.customFields).map(column => column.id).filter(id => checked.includes(id));
+        this.saveSettings();
+        this.updateExportOptionsUI();
     }
 
-    showHistoryDetails(index) {
-        const scan = this.scanHistory[index];
+    updateExportOptionsUI() {
+        const format = this.settings.exportFormat;
+        document.getElementById('exportDelimiterGroup')?.classList.toggle('hidden', format !== 'csv');
+        // JSON is a lossless backup, so every field goes in
+        document.getElementById('exportColumnsGroup')?.classList.toggle('hidden', format === 'json');
+        
+        // Probe with an empty file rather than building the whole export on every change
+        const probe = new File([''], 'scans.csv', { type: 'text/csv' });
+        const canShare = Boolean(navigator.canShare && navigator.canShare({ files: [probe] }));
+        document.getElementById('shareExportBtn')?.classList.toggle('hidden', !canShare);
+        
+        const download = document.getElementById('downloadExportBtn');
+        if (download) download.disabled = format !== 'json' && this.settings.exportColumns.length === 0;
+    }
+
+    buildExportFile() {
+        const entries = this.exportEntries || [];
+        const columns = getExportColumns(this.settings.exportColumns, this.settings.customFields);
+        const date = new Date().toISOString().slice(0, 10);
+        const name = `scan-history-${date}`;
+        
+        switch (this.settings.exportFormat) {
+            case 'json':
+                return new File([JSON.stringify({ app: 'barcode-scanner', version: 1, exportedAt: new Date().toISOString(), entries }, null, 2)],
+                    `${name}.json`, { type: 'application/json' });
+            case 'xlsx':
+                if (columns.length === 0) return null;
+                return new File([toXlsx(toExportRows(entries, columns))],
+                    `${name}.xlsx`, { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+            default: {
+                if (columns.length === 0) return null;
+                const delimiter = EXPORT_DELIMITERS[this.settings.exportDelimiter] || ',';
+                // BOM so spreadsheet apps detect UTF-8
+                const csv = '\ufeff' + toCSV(toExportRows(entries, columns), delimiter);
+                return new File([csv], `${name}.${delimiter === '\t' ? 'tsv' : 'csv'}`,
+                    { type: delimiter === '\t' ? 'text/tab-separated-values' : 'text/csv' });
+            }
+        }
+    }
+
+    downloadExport() {
+        const file = this.buildExportFile();
+        if (!file) return;
+        
+        this.downloadFile(file.name, file);
+        this.hideModal('exportModal');
+    }
+
+    async shareExport() {
+        const file = this.buildExportFile();
+        if (!file) return;
+        
+        try {
+            await navigator.share({ files: [file], title: 'Scan history' });
+            this.hideModal('exportModal');
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('Share failed, downloading instead:', error);
+                this.downloadExport();
+            }
+        }
+    }
+
+    async importHistoryFile(file) {
+        let result;
+        
+        try {
+            if (/\.json$/i.test(file.name) || file.type === 'application/json') {
+                result = parseJSONHistory(await file.text());
+            } else if (/\.xlsx$/i.test(file.name)) {
+                result = rowsToEntries(await readXlsx(await file.arrayBuffer()), this.settings.customFields);
+            } else {
+                result = rowsToEntries(parseCSV((await file.text()).replace(/^\ufeff/, '')), this.settings.customFields);
+            }
+        } catch (error) {
+            console.error('Import failed:', error);
+            alert(`Could not read ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        const entries = result.entries.map(entry => this.normalizeImportedEntry(entry));
+        const added = selectNewHistoryEntries(this.scanHistory, entries);
+        
+        if (added.length > 0) {
+            this.scanHistory = [...this.scanHistory, ...added].sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+            await this.historyStore.putAll(added);
+            this.pruneHistory();
+            this.updateHistoryDisplay();
+        }
+        
+        const lines = [`Imported ${added.length} scans from ${file.name}.`];
+        if (entries.length > added.length) {
+            lines.push(`${entries.length - added.length} were already in your history.`);
+        }
+        if (result.errors.length > 0) {
+            lines.push(`${result.errors.length} rows were skipped:`);
+            result.errors.slice(0, 5).forEach(error => lines.push(`  Row ${error.row}: ${error.message}`));
+        }
+        alert(lines.join('\n'));
+    }
+
+    normalizeImportedEntry(entry) {
+        const base = { source: 'import', thumbnail: null, location: null, meta: createEmptyMeta(), product: null, productData: null, ...entry, id: entry.id || createHistoryId() };
+        if (base.type === 'batch') {
+            // Hand-edited or foreign JSON may lack the item list the summary view needs
+            const items = (Array.isArray(base.items) ? base.items : [])
+                .filter(item => item && typeof item.code === 'string')
+                .map(item => ({ ...item, format: item.format || 'Unknown', quantity: Math.max(1, parseInt(item.quantity, 10) || 1) }));
+            return { ...base, items, startedAt: base.startedAt || base.timestamp };
+        }
+        
+        // CSV and XLSX rows only carry the code - rebuild what processScan() would have derived
+        const gs1 = base.gs1 !== undefined ? base.gs1 : parseGS1(base.code, base.format);
+        const payload = base.payload !== undefined ? base.payload : classifyPayload(base.code, base.format);
+        const isProduct = !payload || payload.type === 'product';
+        
+        return {
+            ...base,
+            gs1,
+            payload: isProduct ? null : payload,
+            gtin: base.gtin || gs1?.gtin || validateBarcode(base.code, base.format, this.getValidationOptions()).gtin,
+            product: base.product || (isProduct ? null : payload.title)
+        };
+    }
+
+    async relookupSelectedHistory() {
+        const button = document.getElementById('relookupSelectedBtn');
+        
+        // One request per distinct product, however many times it was scanned
+        const lookups = new Map();
+        this.getSelectedHistory()
+            .filter(scan => scan.type !== 'batch' && !scan.payload)
+            .forEach(scan => {
+                const lookupCode = this.getLookupCode(scan.code, scan.format);
+                if (!lookups.has(lookupCode)) lookups.set(lookupCode, scan);
+            });
+        if (lookups.size === 0) return;
+        
+        let done = 0;
+        let failed = 0;
+        if (button) button.disabled = true;
+        
+        for (const [lookupCode, scan] of lookups) {
+            if (button) button.textContent = `Looking up ${++done}/${lookups.size}...`;
+            try {
+                const productData = await this.lookupProduct(scan.code, lookupCode);
+                if (productData) {
+                    await this.productCache.put(lookupCode, productData);
+                }
+                this.updateHistoryProduct(lookupCode, productData);
+            } catch (error) {
+                console.warn('Re-lookup failed:', lookupCode, error);
+                failed++;
+            }
+        }
+        
+        if (button) {
+            button.disabled = false;
+            button.textContent = 'Re-run lookup';
+        }
+        this.updateHistoryDisplay();
+        
+        if (failed > 0) {
+            alert(`${failed} of ${lookups.size} lookups failed. Check your connection and try again.`);
+        }
+    }
+
+    showHistoryDetails(id) {
+        const scan = this.scanHistory.find(entry => entry.id === id);
         if (scan) {
             this.hideModal('historyModal');
             this.showResults(scan);
-            if (scan.product) {
+            if (scan.type === 'batch') {
+                this.displayBatchSummary(scan);
+            } else if (scan.payload) {
+                this.displayPayloadInfo(scan.payload);
+            } else if (scan.productData) {
+                this.displayProductInfo(scan.productData, scan.code);
+            } else if (scan.product) {
                 this.displayProductInfo({
                     name: scan.product,
                     source: 'History',
@@ -941,11 +3001,123 @@ class BarcodeScanner {
     clearHistory() {
         if (confirm('Clear all scan history?')) {
             this.scanHistory = [];
-            this.saveHistory();
+            this.historyStore.clear();
             this.updateHistoryDisplay();
         }
     }
 
+    showGeneratorModal(scan = null) {
+        const formatSelect = document.getElementById('generatorFormat');
+        const textInput = document.getElementById('generatorText');
+        if (!formatSelect || !textInput) return;
+        
+        if (formatSelect.options.length === 0) {
+            formatSelect.innerHTML = this.supportedFormats
+                .filter(format => GENERATOR_FORMATS.includes(format))
+                .map(format => `<option value="${this.escapeHtml(format)}">${this.escapeHtml(format)}</option>`)
+                .join('');
+            this.resetGeneratorQuietZone();
+        }
+        
+        // Re-generate a scanned code in its own symbology where we can
+        if (scan && scan.type !== 'batch') {
+            textInput.value = scan.code;
+            formatSelect.value = GENERATOR_FORMATS.includes(scan.format) ? scan.format : 'QR Code';
+            this.resetGeneratorQuietZone();
+            this.hideResults();
+        }
+        
+        this.showModal('generatorModal');
+        this.renderGenerator();
+    }
+
+    resetGeneratorQuietZone() {
+        const format = document.getElementById('generatorFormat')?.value;
+        const quietZone = document.getElementById('generatorQuietZone');
+        if (format && quietZone) {
+            quietZone.value = getDefaultQuietZone(format);
+        }
+    }
+
+    readGeneratorOptions() {
+        const readNumber = (id, fallback, min, max) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+        };
+        
+        return {
+            text: document.getElementById('generatorText')?.value || '',
+            format: document.getElementById('generatorFormat')?.value || 'QR Code',
+            ecLevel: document.getElementById('generatorEcLevel')?.value || 'M',
+            moduleSize: Math.round(readNumber('generatorModuleSize', 4, 1, 20)),
+            quietZone: Math.round(readNumber('generatorQuietZone', 10, 0, 40)),
+            barHeight: Math.round(readNumber('generatorBarHeight', 100, 10, 600)),
+            showText: document.getElementById('generatorShowText')?.checked ?? true,
+            code39CheckDigit: this.settings.code39CheckDigit
+        };
+    }
+
+    async renderGenerator() {
+        const options = this.readGeneratorOptions();
+        const canvas = document.getElementById('generatorCanvas');
+        const error = document.getElementById('generatorError');
+        const isMatrix = MATRIX_FORMATS.includes(options.format);
+        
+        document.getElementById('generatorEcGroup')?.classList.toggle('hidden', !['QR Code', 'Aztec'].includes(options.format));
+        document.getElementById('generatorBarHeightGroup')?.classList.toggle('hidden', isMatrix);
+        document.getElementById('generatorShowTextGroup')?.classList.toggle('hidden', isMatrix);
+        
+        // The 2D writers come with the ZXing bundle, which may not be loaded yet
+        if (isMatrix && typeof ZXing === 'undefined') {
+            await ZXingDecoder.loadLibrary();
+        }
+        
+        this.generatedSymbol = null;
+        let message = null;
+        if (options.text.trim()) {
+            try {
+                this.generatedSymbol = encodeBarcode(options.text, options.format, options);
+            } catch (e) {
+                message = e.message || 'This text cannot be encoded in the selected format';
+            }
+        }
+        
+        if (error) {
+            error.textContent = message || '';
+            error.classList.toggle('hidden', !message);
+        }
+        
+        if (canvas) {
+            if (this.generatedSymbol) {
+                renderSymbolToCanvas(this.generatedSymbol, canvas, options);
+            } else {
+                canvas.width = 0;
+                canvas.height = 0;
+            }
+        }
+        
+        ['downloadPngBtn', 'downloadSvgBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !this.generatedSymbol;
+        });
+    }
+
+    downloadGeneratedCode(type) {
+        if (!this.generatedSymbol) return;
+        
+        const options = this.readGeneratorOptions();
+        const name = `${options.format}-${this.generatedSymbol.text}`.replace(/[^a-z0-9-]+/gi, '_').slice(0, 60);
+        
+        if (type === 'svg') {
+            this.downloadFile(`${name}.svg`, renderSymbolToSVG(this.generatedSymbol, options), 'image/svg+xml');
+            return;
+        }
+        
+        document.getElementById('generatorCanvas')?.toBlob(blob => {
+            if (blob) this.downloadFile(`${name}.png`, blob, 'image/png');
+        }, 'image/png');
+    }
+
     showSettingsModal() {
         this.loadSettingsUI();
         this.showModal('settingsModal');
@@ -955,56 +3127,429 @@ class BarcodeScanner {
         const checkboxes = {
             audioFeedback: this.settings.audioFeedback,
             autoSearch: this.settings.autoSearch,
-            requireMultipleDetections: this.settings.requireMultipleDetections,
-            formatUPC: this.settings.formats.UPC,
-            formatEAN: this.settings.formats.EAN,
-            formatCode128: this.settings.formats.Code128,
-            formatCode39: this.settings.formats.Code39,
-            formatQR: this.settings.formats.QR,
-            formatDataMatrix: this.settings.formats.DataMatrix
+            multiCode: this.settings.multiCode,
+            code39CheckDigit: this.settings.code39CheckDigit,
+            captureLocation: this.settings.captureLocation,
+            webhookOnScan: this.settings.webhookOnScan,
+            webhookOnBatch: this.settings.webhookOnBatch,
+            wedgeEnabled: this.settings.wedgeEnabled,
+            preprocessEnabled: this.settings.preprocessEnabled
         };
         
+        Object.keys(this.formatMap).forEach(key => {
+            checkboxes[`format${key}`] = this.settings.formats[key];
+        });
+        PREPROCESS_SETTINGS.forEach(key => {
+            checkboxes[this.getPreprocessCheckboxId(key)] = this.settings.preprocessPasses[key];
+        });
+        
         Object.keys(checkboxes).forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 element.checked = checkboxes[id];
             }
         });
+        
+        const values = {
+            confirmationStrategy: this.settings.confirmationPolicy.strategy,
+            confirmationMatches: this.settings.confirmationPolicy.requiredMatches,
+            confirmationWindow: this.settings.confirmationPolicy.timeWindow / 1000,
+            confirmationFrames: this.settings.confirmationPolicy.voteFrames,
+            confirmationOverrides: formatConfirmationOverrides(this.settings.confirmationPolicy.overrides),
+            roiShape: this.settings.roiShape,
+            roiFallbackMisses: this.settings.roiFallbackMisses,
+            batchCooldown: this.settings.batchCooldown / 1000,
+            linkAllowList: this.settings.linkAllowList.join('\n'),
+            linkDenyList: this.settings.linkDenyList.join('\n'),
+            customProviderUrl: this.settings.customProviderUrl,
+            productCacheDays: this.settings.productCacheDays,
+            historyMaxEntries: this.settings.historyMaxEntries,
+            historyRetentionDays: this.settings.historyRetentionDays,
+            customFieldDefinitions: formatCustomFieldDefinitions(this.settings.customFields),
+            webhookUrl: this.settings.webhookUrl,
+            webhookHeaders: this.settings.webhookHeaders,
+            webhookTemplate: this.settings.webhookTemplate,
+            wedgeMaxKeyInterval: this.settings.wedgeMaxKeyInterval,
+            wedgeMinLength: this.settings.wedgeMinLength,
+            wedgePrefix: this.settings.wedgePrefix,
+            wedgeSuffix: this.settings.wedgeSuffix,
+            cameraResolution: this.settings.cameraResolution
+        };
+        
+        Object.keys(values).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.value = values[id];
+            }
+        });
+        
+        this.renderCameraDeviceOptions();
+        this.renderProviderSettings();
+        this.applyScanFrameShape();
+        this.updateFormatsWarning();
+    }
+
+    updateFormatsWarning() {
+        document.getElementById('formatsError')?.classList.toggle('hidden', this.getEnabledFormatNames().length > 0);
+    }
+
+    getPreprocessCheckboxId(key) {
+        return `preprocess${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+    }
+
+    renderProviderSettings() {
+        const list = document.getElementById('providerList');
+        if (!list) return;
+        
+        const providers = this.productProviders.getOrdered(this.settings.providerOrder);
+        list.innerHTML = providers.map((provider, index) => `
+            <div class="provider-item" data-provider="${this.escapeHtml(provider.id)}">
+                <label class="checkbox-label provider-item__name">
+                    <input type="checkbox" data-provider-enabled ${this.settings.providerEnabled[provider.id] !== false ? 'checked' : ''}>
+                    ${this.escapeHtml(provider.name)}
+                    <span class="provider-item__types">${provider.codeTypes.join(', ')}</span>
+                </label>
+                <input type="number" class="form-control provider-item__timeout" data-provider-timeout min="1" max="30" step="0.5"
+                       value="${(this.settings.providerTimeouts[provider.id] || 5000) / 1000}" aria-label="${this.escapeHtml(provider.name)} timeout (seconds)">
+                <button class="btn btn--sm btn--outline" type="button" data-move="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                <button class="btn btn--sm btn--outline" type="button" data-move="1" ${index === providers.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+            </div>
+        `).join('');
+    }
+
+    handleProviderListClick(e) {
+        const button = e.target.closest('[data-move]');
+        if (!button) return;
+        
+        const id = button.closest('[data-provider]').dataset.provider;
+        const order = this.productProviders.getOrdered(this.settings.providerOrder).map(provider => provider.id);
+        const from = order.indexOf(id);
+        const to = from + parseInt(button.dataset.move, 10);
+        if (to < 0 || to >= order.length) return;
+        
+        [order[from], order[to]] = [order[to], order[from]];
+        this.settings.providerOrder = order;
+        this.saveSettings();
+        this.renderProviderSettings();
+    }
+
+    readProviderSettings() {
+        const enabled = {};
+        const timeouts = {};
+        
+        document.querySelectorAll('#providerList [data-provider]').forEach(item => {
+            const id = item.dataset.provider;
+            enabled[id] = item.querySelector('[data-provider-enabled]').checked;
+            timeouts[id] = Math.max(1, parseFloat(item.querySelector('[data-provider-timeout]').value) || 5) * 1000;
+        });
+        
+        return { enabled, timeouts };
     }
 
     updateSettings() {
         const elements = {
             audioFeedback: document.getElementById('audioFeedback'),
             autoSearch: document.getElementById('autoSearch'),
-            requireMultipleDetections: document.getElementById('requireMultipleDetections'),
-            formatUPC: document.getElementById('formatUPC'),
-            formatEAN: document.getElementById('formatEAN'),
-            formatCode128: document.getElementById('formatCode128'),
-            formatCode39: document.getElementById('formatCode39'),
-            formatQR: document.getElementById('formatQR'),
-            formatDataMatrix: document.getElementById('formatDataMatrix')
+            confirmationStrategy: document.getElementById('confirmationStrategy'),
+            confirmationMatches: document.getElementById('confirmationMatches'),
+            confirmationWindow: document.getElementById('confirmationWindow'),
+            confirmationFrames: document.getElementById('confirmationFrames'),
+            confirmationOverrides: document.getElementById('confirmationOverrides'),
+            multiCode: document.getElementById('multiCode'),
+            code39CheckDigit: document.getElementById('code39CheckDigit'),
+            roiShape: document.getElementById('roiShape'),
+            roiFallbackMisses: document.getElementById('roiFallbackMisses'),
+            batchCooldown: document.getElementById('batchCooldown'),
+            linkAllowList: document.getElementById('linkAllowList'),
+            linkDenyList: document.getElementById('linkDenyList'),
+            customProviderUrl: document.getElementById('customProviderUrl'),
+            productCacheDays: document.getElementById('productCacheDays'),
+            historyMaxEntries: document.getElementById('historyMaxEntries'),
+            historyRetentionDays: document.getElementById('historyRetentionDays'),
+            captureLocation: document.getElementById('captureLocation'),
+            customFieldDefinitions: document.getElementById('customFieldDefinitions'),
+            webhookOnScan: document.getElementById('webhookOnScan'),
+            webhookOnBatch: document.getElementById('webhookOnBatch'),
+            webhookUrl: document.getElementById('webhookUrl'),
+            webhookHeaders: document.getElementById('webhookHeaders'),
+            webhookTemplate: document.getElementById('webhookTemplate'),
+            wedgeEnabled: document.getElementById('wedgeEnabled'),
+            wedgeMaxKeyInterval: document.getElementById('wedgeMaxKeyInterval'),
+            wedgeMinLength: document.getElementById('wedgeMinLength'),
+            wedgePrefix: document.getElementById('wedgePrefix'),
+            wedgeSuffix: document.getElementById('wedgeSuffix'),
+            cameraDevice: document.getElementById('cameraDevice'),
+            cameraResolution: document.getElementById('cameraResolution'),
+            preprocessEnabled: document.getElementById('preprocessEnabled')
         };
         
+        // One host per line; tolerate pasted URLs
+        const parseHostList = element => (element?.value || '')
+            .split(/[\s,]+/)
+            .map(entry => entry.trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, ''))
+            .filter(Boolean);
+        
+        const formats = {};
+        Object.keys(this.formatMap).forEach(key => {
+            formats[key] = document.getElementById(`format${key}`)?.checked ?? true;
+        });
+        
+        const preprocessPasses = {};
+        PREPROCESS_SETTINGS.forEach(key => {
+            preprocessPasses[key] = document.getElementById(this.getPreprocessCheckboxId(key))?.checked ?? true;
+        });
+        
+        const providers = this.readProviderSettings();
+        const previousCamera = `${this.settings.cameraDeviceId}|${this.settings.cameraResolution}`;
+        const previousWebhook = `${this.settings.webhookUrl}\n${this.settings.webhookHeaders}`;
+        
         this.settings = {
+            ...this.settings,
             audioFeedback: elements.audioFeedback?.checked ?? true,
             autoSearch: elements.autoSearch?.checked ?? true,
-            requireMultipleDetections: elements.requireMultipleDetections?.checked ?? true,
-            minDetections: 2,
-            detectionTimeout: 2000,
-            formats: {
-                UPC: elements.formatUPC?.checked ?? true,
-                EAN: elements.formatEAN?.checked ?? true,
-                Code128: elements.formatCode128?.checked ?? true,
-                Code39: elements.formatCode39?.checked ?? true,
-                QR: elements.formatQR?.checked ?? true,
-                DataMatrix: elements.formatDataMatrix?.checked ?? true
-            }
+            confirmationPolicy: normalizeConfirmationPolicy({
+                strategy: elements.confirmationStrategy?.value,
+                requiredMatches: elements.confirmationMatches?.value,
+                timeWindow: (parseFloat(elements.confirmationWindow?.value) || 2) * 1000,
+                voteFrames: elements.confirmationFrames?.value,
+                overrides: parseConfirmationOverrides(elements.confirmationOverrides?.value, this.supportedFormats)
+            }),
+            multiCode: elements.multiCode?.checked ?? false,
+            code39CheckDigit: elements.code39CheckDigit?.checked ?? false,
+            roiShape: elements.roiShape?.value || 'square',
+            roiFallbackMisses: Math.max(1, parseInt(elements.roiFallbackMisses?.value, 10) || 15),
+            batchCooldown: Math.max(0, parseFloat(elements.batchCooldown?.value) || 0) * 1000,
+            linkAllowList: parseHostList(elements.linkAllowList),
+            linkDenyList: parseHostList(elements.linkDenyList),
+            providerEnabled: { ...this.settings.providerEnabled, ...providers.enabled },
+            providerTimeouts: { ...this.settings.providerTimeouts, ...providers.timeouts },
+            customProviderUrl: (elements.customProviderUrl?.value || '').trim(),
+            productCacheDays: Math.max(0, parseFloat(elements.productCacheDays?.value) || 0),
+            historyMaxEntries: Math.max(0, parseInt(elements.historyMaxEntries?.value, 10) || 0),
+            historyRetentionDays: Math.max(0, parseInt(elements.historyRetentionDays?.value, 10) || 0),
+            captureLocation: elements.captureLocation?.checked ?? false,
+            customFields: parseCustomFieldDefinitions(elements.customFieldDefinitions?.value),
+            webhookOnScan: elements.webhookOnScan?.checked ?? false,
+            webhookOnBatch: elements.webhookOnBatch?.checked ?? false,
+            webhookUrl: (elements.webhookUrl?.value || '').trim(),
+            webhookHeaders: elements.webhookHeaders?.value || '',
+            webhookTemplate: elements.webhookTemplate?.value || '',
+            wedgeEnabled: elements.wedgeEnabled?.checked ?? false,
+            wedgeMaxKeyInterval: Math.max(5, parseInt(elements.wedgeMaxKeyInterval?.value, 10) || 30),
+            wedgeMinLength: Math.max(1, parseInt(elements.wedgeMinLength?.value, 10) || 4),
+            wedgePrefix: elements.wedgePrefix?.value || '',
+            wedgeSuffix: elements.wedgeSuffix?.value || '',
+            cameraDeviceId: elements.cameraDevice?.value ?? this.settings.cameraDeviceId,
+            cameraResolution: this.resolutionPresets[elements.cameraResolution?.value] ? elements.cameraResolution.value : '720p',
+            preprocessEnabled: elements.preprocessEnabled?.checked ?? false,
+            preprocessPasses,
+            formats
         };
         
         this.saveSettings();
+        this.confirmation.setPolicy(this.settings.confirmationPolicy);
+        this.applyScanFrameShape();
+        this.updateFormatsWarning();
+        this.pruneHistory();
+        this.checkWebhookTemplate();
+        
+        // A fixed URL or token should go out now rather than at the next backoff
+        if (`${this.settings.webhookUrl}\n${this.settings.webhookHeaders}` !== previousWebhook) {
+            this.webhook.flush({ force: true });
+        }
+        
+        // Re-select the engine so the new format list takes effect
+        this.initializeDecoder();
+        
+        if (this.stream && `${this.settings.cameraDeviceId}|${this.settings.cameraResolution}` !== previousCamera) {
+            this.restartCamera();
+        }
+        
         console.log('Settings updated:', this.settings);
     }
 
+    checkWebhookTemplate() {
+        const error = document.getElementById('webhookTemplateError');
+        if (!error) return;
+        
+        try {
+            renderWebhookTemplate(this.settings.webhookTemplate, {});
+            error.textContent = '';
+            error.classList.add('hidden');
+        } catch (e) {
+            error.textContent = `Template is not valid JSON: ${e.message}`;
+            error.classList.remove('hidden');
+        }
+    }
+
+    applyScanFrameShape() {
+        const frame = document.querySelector('.scan-frame');
+        if (!frame) return;
+        
+        frame.classList.toggle('scan-frame--square', this.settings.roiShape === 'square');
+        frame.classList.toggle('scan-frame--strip', this.settings.roiShape === 'strip');
+    }
+
+    showImageModal() {
+        this.stopScanning();
+        this.showModal('imageModal');
+    }
+
+    handleImagePaste(e) {
+        const files = [...(e.clipboardData?.files || [])].filter(isSupportedImageFile);
+        if (files.length === 0) return;
+        
+        // Text pasted into a field wins over an image on the clipboard
+        const typing = e.target.closest?.('input, textarea, [contenteditable]');
+        if (typing && e.clipboardData.getData('text')) return;
+        
+        e.preventDefault();
+        this.decodeImageFiles(files);
+    }
+
+    async decodeImageFiles(files) {
+        const supported = files.filter(isSupportedImageFile);
+        const status = document.getElementById('imageStatus');
+        const setStatus = text => {
+            if (status) status.textContent = text;
+        };
+        
+        this.showImageModal();
+        this.showImageError(supported.length === 0 ? 'Choose a JPEG, PNG, WebP or PDF file' : null);
+        if (supported.length === 0) return;
+        
+        this.imagePages = [];
+        this.imageResults = [];
+        this.renderImageResults();
+        
+        let decoder = null;
+        try {
+            setStatus('Reading…');
+            for (const file of supported) {
+                this.imagePages.push(...await loadImageFilePages(file));
+            }
+            
+            setStatus(`Decoding ${this.imagePages.length} ${this.imagePages.length === 1 ? 'image' : 'pages'}…`);
+            decoder = await this.createImageDecoder();
+            if (!decoder) {
+                throw new Error('No barcode decoder is available in this browser');
+            }
+            
+            this.imageResults = await decodeImagePages(decoder, this.imagePages);
+            setStatus(this.imageResults.length === 0
+                ? 'No codes found. Enabled formats are set in Settings.'
+                : `Found ${this.imageResults.length} ${this.imageResults.length === 1 ? 'code' : 'codes'}`);
+        } catch (error) {
+            console.warn('Image decoding failed:', error);
+            setStatus('');
+            this.showImageError(error.message || 'The file could not be decoded');
+        } finally {
+            if (decoder) decoder.dispose();
+        }
+        
+        this.renderImageResults();
+    }
+
+    async createImageDecoder() {
+        const formats = this.getEnabledFormatNames();
+        
+        // A separate engine asked for every code, so the live scanner keeps its own settings
+        for (const Decoder of await this.getDecoderCandidates(formats)) {
+            const decoder = new Decoder();
+            if (await decoder.configure(formats, { multiple: true })) {
+                return decoder;
+            }
+            decoder.dispose();
+        }
+        return null;
+    }
+
+    showImageError(message) {
+        const error = document.getElementById('imageError');
+        if (!error) return;
+        
+        error.textContent = message || '';
+        error.classList.toggle('hidden', !message);
+    }
+
+    renderImageResults() {
+        const list = document.getElementById('imageResults');
+        const pagesContainer = document.getElementById('imagePages');
+        const results = this.imageResults || [];
+        const pages = this.imagePages || [];
+        
+        if (list) {
+            list.innerHTML = results.map((result, index) => `
+                <li class="image-result">
+                    <div class="image-result__info">
+                        <span class="code-value">${this.escapeHtml(result.text)}</span>
+                        <span class="image-result__meta">${this.escapeHtml(result.format)}${pages.length > 1 ? ` · ${this.escapeHtml(pages[result.page].label)}` : ''}</span>
+                    </div>
+                    <button class="btn btn--sm btn--primary" type="button" data-image-result="${index}">Use</button>
+                </li>
+            `).join('');
+        }
+        
+        if (!pagesContainer) return;
+        pagesContainer.innerHTML = '';
+        
+        // Only pages with codes on them are worth a preview
+        pages.forEach((page, pageIndex) => {
+            const found = results.map((result, index) => ({ result, index })).filter(({ result }) => result.page === pageIndex);
+            if (found.length === 0 && pages.length > 1) return;
+            
+            const preview = document.createElement('canvas');
+            preview.width = page.canvas.width;
+            preview.height = page.canvas.height;
+            const ctx = preview.getContext('2d');
+            ctx.drawImage(page.canvas, 0, 0);
+            this.drawImageHighlights(ctx, found, Math.max(preview.width, preview.height));
+            
+            preview.className = 'image-page';
+            preview.title = page.label;
+            pagesContainer.appendChild(preview);
+        });
+    }
+
+    drawImageHighlights(ctx, found, size) {
+        const colors = this.getOverlayColors();
+        const lineWidth = Math.max(2, size / 300);
+        const identity = { scale: 1, offsetX: 0, offsetY: 0 };
+        
+        found.forEach(({ result, index }) => {
+            const outline = this.getDetectionOutline(result.points || [], identity);
+            if (!outline) return;
+            
+            ctx.strokeStyle = colors.confirmed;
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            outline.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+            ctx.closePath();
+            ctx.stroke();
+            
+            // Numbered to match the list above
+            const label = String(index + 1);
+            const fontSize = lineWidth * 8;
+            ctx.font = `bold ${fontSize}px sans-serif`;
+            ctx.fillStyle = colors.confirmed;
+            ctx.fillRect(outline[0].x, outline[0].y - fontSize * 1.2, ctx.measureText(label).width + fontSize * 0.6, fontSize * 1.2);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, outline[0].x + fontSize * 0.3, outline[0].y - fontSize * 0.25);
+        });
+    }
+
+    handleImageResultClick(e) {
+        const button = e.target.closest('[data-image-result]');
+        if (!button) return;
+        
+        const result = this.imageResults[parseInt(button.dataset.imageResult, 10)];
+        const page = this.imagePages[result.page];
+        const thumbnail = this.cropThumbnail(page.canvas, page.canvas.width, page.canvas.height, result.points || []);
+        
+        this.hideModal('imageModal');
+        this.processScan(result.text, result.format, { source: 'image', thumbnail, symbologyId: result.symbologyId });
+    }
+
     showManualModal() {
         console.log('Showing manual modal...');
         this.showModal('manualModal');
@@ -1024,22 +3569,38 @@ class BarcodeScanner {
         }
         
         const code = codeInput.value.trim();
-        const format = formatSelect.value;
+        // Auto-detect still rejects GTIN-shaped input with a bad check digit; free text passes
+        const validation = validateBarcode(code, formatSelect.value || 'Unknown', this.getValidationOptions());
+        const format = formatSelect.value || guessWedgeFormat(code);
         
-        if (!code) {
-            alert('Please enter a barcode or QR code');
+        if (!validation.valid) {
+            this.showManualError(code ? validation.error : 'Please enter a barcode or QR code');
             codeInput.focus();
             return;
         }
         
         console.log('Manual code submitted:', code, format);
         
+        this.showManualError(null);
         this.hideModal('manualModal');
-        this.processScan(code, format);
+        this.processScan(code, format, { source: 'manual' });
         
         // Clear form
         codeInput.value = '';
-        formatSelect.value = 'UPC-A';
+        formatSelect.value = '';
+    }
+
+    showManualError(message) {
+        const errorElement = document.getElementById('manualError');
+        const codeInput = document.getElementById('manualCode');
+        
+        if (errorElement) {
+            errorElement.textContent = message || '';
+            errorElement.classList.toggle('hidden', !message);
+        }
+        if (codeInput) {
+            codeInput.classList.toggle('form-control--invalid', Boolean(message));
+        }
     }
 
     showModal(modalId) {
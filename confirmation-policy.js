@@ -0,0 +1,136 @@
+// When does a code the camera keeps seeing count as scanned? Plain logic with
+// no DOM, timers or settings access: ConfirmationTracker is fed decoded frames
+// and reads with explicit timestamps and answers { confirmed, count, required },
+// so it can be driven from a script as easily as from handleDetection().
+//
+// Policy: { strategy, requiredMatches, timeWindow, voteFrames, overrides }
+//   'matches'  - `requiredMatches` reads of the same code within `timeWindow` ms
+//   'majority' - the code was read in most of the last `voteFrames` decoded frames
+// `overrides` maps a format name to the number of agreeing reads that format
+// needs instead, under either strategy: { 'QR Code': 1, 'Code-39': 3 }.
+// Overrides are edited in Settings as one "Format: reads" line each.
+
+const CONFIRMATION_STRATEGIES = ['matches', 'majority'];
+
+const DEFAULT_CONFIRMATION_POLICY = {
+    strategy: 'matches',
+    requiredMatches: 2,
+    timeWindow: 2000,
+    voteFrames: 5,
+    overrides: {}
+};
+
+function clampInteger(value, min, max, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+// Fills in defaults and clamps everything to usable ranges
+function normalizeConfirmationPolicy(policy) {
+    const merged = { ...DEFAULT_CONFIRMATION_POLICY, ...(policy || {}) };
+    const overrides = {};
+
+    Object.entries(merged.overrides || {}).forEach(([format, reads]) => {
+        const required = clampInteger(reads, 1, 60, null);
+        if (format && required) overrides[format] = required;
+    });
+
+    return {
+        strategy: CONFIRMATION_STRATEGIES.includes(merged.strategy) ? merged.strategy : DEFAULT_CONFIRMATION_POLICY.strategy,
+        requiredMatches: clampInteger(merged.requiredMatches, 1, 60, DEFAULT_CONFIRMATION_POLICY.requiredMatches),
+        timeWindow: clampInteger(merged.timeWindow, 100, 60000, DEFAULT_CONFIRMATION_POLICY.timeWindow),
+        voteFrames: clampInteger(merged.voteFrames, 1, 60, DEFAULT_CONFIRMATION_POLICY.voteFrames),
+        overrides
+    };
+}
+
+// Number of agreeing reads `format` needs under `policy` (already normalised)
+function getRequiredReads(policy, format) {
+    if (policy.strategy === 'majority') {
+        const majority = Math.floor(policy.voteFrames / 2) + 1;
+        return Math.min(policy.voteFrames, policy.overrides[format] || majority);
+    }
+    return policy.overrides[format] || policy.requiredMatches;
+}
+
+// Lines that do not name one of `formatNames` or give no count are skipped
+function parseConfirmationOverrides(text, formatNames) {
+    const overrides = {};
+
+    (text || '').split(/\r?\n/).forEach(line => {
+        const colon = line.lastIndexOf(':');
+        if (colon <= 0) return;
+
+        const name = line.slice(0, colon).trim().toLowerCase();
+        const format = formatNames.find(candidate => candidate.toLowerCase() === name);
+        const reads = clampInteger(line.slice(colon + 1).trim(), 1, 60, null);
+        if (format && reads) overrides[format] = reads;
+    });
+
+    return overrides;
+}
+
+function formatConfirmationOverrides(overrides) {
+    return Object.entries(overrides || {}).map(([format, reads]) => `${format}: ${reads}`).join('\n');
+}
+
+class ConfirmationTracker {
+    constructor(policy) {
+        this.setPolicy(policy);
+        this.reset();
+    }
+
+    setPolicy(policy) {
+        this.policy = normalizeConfirmationPolicy(policy);
+    }
+
+    reset() {
+        this.reads = [];
+        this.frame = 0;
+    }
+
+    // Once per decoded frame, before its reads - misses count as votes against
+    startFrame(now) {
+        this.frame++;
+        this.prune(now);
+    }
+
+    addRead(code, format, now) {
+        // Several results for one code in a single frame are one vote
+        if (!this.reads.some(read => read.frame === this.frame && read.code === code)) {
+            this.reads.push({ code, format, frame: this.frame, timestamp: now });
+        }
+        this.prune(now);
+        return this.evaluate(code, format);
+    }
+
+    evaluate(code, format) {
+        const count = this.reads.filter(read => read.code === code).length;
+        const required = getRequiredReads(this.policy, format);
+        return { confirmed: count >= required, count, required };
+    }
+
+    // Require fresh reads before `code` can confirm again
+    forget(code) {
+        this.reads = this.reads.filter(read => read.code !== code);
+    }
+
+    prune(now) {
+        const cutoff = now - this.policy.timeWindow;
+        const firstFrame = this.policy.strategy === 'majority' ? this.frame - this.policy.voteFrames + 1 : -Infinity;
+        this.reads = this.reads.filter(read => read.timestamp > cutoff && read.frame >= firstFrame);
+    }
+}
+
+// Loaded as a classic script in the app; exported for the Node tests
+if (typeof module !== 'undefined') {
+    module.exports = {
+        CONFIRMATION_STRATEGIES,
+        DEFAULT_CONFIRMATION_POLICY,
+        normalizeConfirmationPolicy,
+        getRequiredReads,
+        parseConfirmationOverrides,
+        formatConfirmationOverrides,
+        ConfirmationTracker
+    };
+}
@@ -0,0 +1,158 @@
+// Decode worker - runs ZXing off the main thread so the camera preview stays smooth.
+// Receives one frame at a time (ImageBitmap or raw RGBA ImageData) and posts back
+// the detections found in it (an empty list for a miss). Format names are the raw
+// ZXing enum names; ZXingDecoder normalises them on the main thread.
+
+let reader = null;
+let zxingLoaded = false;
+let decodeMultiple = false;
+
+try {
+    importScripts('vendor/zxing-library-0.23.0.min.js');
+    zxingLoaded = typeof ZXing !== 'undefined';
+} catch (error) {
+    console.warn('Decode worker could not load ZXing:', error);
+}
+
+function configure(formatNames, multiple) {
+    const { MultiFormatReader, DecodeHintType, BarcodeFormat } = ZXing;
+    const hints = new Map();
+    const formats = formatNames
+        .map(name => BarcodeFormat[name])
+        .filter(format => format !== undefined);
+
+    // No formats means decode nothing - without the hint ZXing reads everything
+    if (formats.length === 0) {
+        reader = null;
+        return;
+    }
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, formats);
+    hints.set(DecodeHintType.TRY_HARDER, true);
+    // Keep FNC1: GS1-128 comes back as "]C1..." with GS between variable-length AIs
+    hints.set(DecodeHintType.ASSUME_GS1, true);
+
+    reader = new MultiFormatReader();
+    reader.setHints(hints);
+    decodeMultiple = multiple;
+}
+
+function frameToImageData(frame) {
+    if (frame.data) return frame;
+
+    // ImageBitmap: rasterise on an OffscreenCanvas inside the worker
+    const canvas = new OffscreenCanvas(frame.width, frame.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(frame, 0, 0);
+    frame.close();
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+function toLuminance(imageData) {
+    const { data, width, height } = imageData;
+    const luminance = new Uint8ClampedArray(width * height);
+
+    for (let i = 0, j = 0; j < luminance.length; i += 4, j++) {
+        luminance[j] = (data[i] * 306 + data[i + 1] * 601 + data[i + 2] * 117) >> 10;
+    }
+
+    return luminance;
+}
+
+function decodeLuminance(luminance, width, height, offsetX = 0, offsetY = 0) {
+    const { RGBLuminanceSource, BinaryBitmap, HybridBinarizer, BarcodeFormat } = ZXing;
+    const source = new RGBLuminanceSource(luminance, width, height);
+    const bitmap = new BinaryBitmap(new HybridBinarizer(source));
+
+    try {
+        const result = reader.decodeWithState(bitmap);
+        return {
+            text: result.getText(),
+            format: BarcodeFormat[result.getBarcodeFormat()],
+            points: (result.getResultPoints() || []).map(point => ({
+                x: point.getX() + offsetX,
+                y: point.getY() + offsetY
+            }))
+        };
+    } catch (error) {
+        // NotFoundException / ChecksumException / FormatException - no code here
+        return null;
+    } finally {
+        reader.reset();
+    }
+}
+
+function cropLuminance(luminance, width, tile) {
+    const cropped = new Uint8ClampedArray(tile.width * tile.height);
+    for (let y = 0; y < tile.height; y++) {
+        const start = (tile.y + y) * width + tile.x;
+        cropped.set(luminance.subarray(start, start + tile.width), y * tile.width);
+    }
+    return cropped;
+}
+
+function getTiles(width, height) {
+    // 2x2 grid with overlap so a code straddling a seam still fits in one tile
+    const tileWidth = Math.round(width * 0.6);
+    const tileHeight = Math.round(height * 0.6);
+    const tiles = [];
+
+    [0, width - tileWidth].forEach(x => {
+        [0, height - tileHeight].forEach(y => {
+            tiles.push({ x, y, width: tileWidth, height: tileHeight });
+        });
+    });
+
+    return tiles;
+}
+
+function decode(imageData) {
+    const { width, height } = imageData;
+    const luminance = toLuminance(imageData);
+    const results = [];
+    const first = decodeLuminance(luminance, width, height);
+
+    if (first) results.push(first);
+    if (!decodeMultiple) return results;
+
+    // ZXing stops at the first code it finds - decode tiles to pick up the rest
+    getTiles(width, height).forEach(tile => {
+        const result = decodeLuminance(cropLuminance(luminance, width, tile), tile.width, tile.height, tile.x, tile.y);
+        if (result && !results.some(existing => existing.text === result.text)) {
+            results.push(result);
+        }
+    });
+
+    return results;
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'configure':
+            if (!zxingLoaded) {
+                self.postMessage({ type: 'unavailable' });
+                return;
+            }
+            configure(message.formats || [], Boolean(message.multiple));
+            self.postMessage({ type: 'ready' });
+            break;
+
+        case 'decode': {
+            let results = [];
+
+            try {
+                const imageData = frameToImageData(message.frame);
+                results = reader ? decode(imageData) : [];
+            } catch (error) {
+                console.warn('Decode worker frame error:', error);
+            }
+
+            self.postMessage({
+                type: 'decoded',
+                results
+            });
+            break;
+        }
+    }
+};
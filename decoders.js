@@ -0,0 +1,369 @@
+// Decoder backends used by BarcodeScanner.scanLoop().
+// Every backend is configured with the canonical format names used in settings
+// and history ('EAN-13', 'QR Code', ...) and resolves decode() with an array of
+// { text, format, points } where `format` is already normalised, so history
+// entries look the same whichever engine produced them. decode() takes an
+// optional region { x, y, width, height } in video pixels; points are relative
+// to that region. configure() takes { multiple } to ask for every code in the
+// frame rather than the first one found. Results may carry a `symbologyId`
+// (']C1' for GS1-128) when the engine reports one.
+
+const BARCODE_FORMATS = [
+    { name: 'UPC-A', zxing: 'UPC_A', native: 'upc_a' },
+    { name: 'UPC-E', zxing: 'UPC_E', native: 'upc_e' },
+    { name: 'EAN-13', zxing: 'EAN_13', native: 'ean_13' },
+    { name: 'EAN-8', zxing: 'EAN_8', native: 'ean_8' },
+    { name: 'Code-128', zxing: 'CODE_128', native: 'code_128' },
+    { name: 'Code-39', zxing: 'CODE_39', native: 'code_39' },
+    { name: 'Code-93', zxing: 'CODE_93', native: 'code_93' },
+    { name: 'QR Code', zxing: 'QR_CODE', native: 'qr_code' },
+    { name: 'Data Matrix', zxing: 'DATA_MATRIX', native: 'data_matrix' },
+    { name: 'ITF', zxing: 'ITF', native: 'itf' },
+    { name: 'Codabar', zxing: 'CODABAR', native: 'codabar' },
+    { name: 'PDF417', zxing: 'PDF_417', native: 'pdf417' },
+    { name: 'Aztec', zxing: 'AZTEC', native: 'aztec' }
+];
+
+// Pinned local copy - precached by sw.js so decoding works offline
+const ZXING_LIBRARY_URL = 'vendor/zxing-library-0.23.0.min.js';
+
+function normalizeFormatName(raw) {
+    if (!raw) return 'Unknown';
+    const match = BARCODE_FORMATS.find(format => format.name === raw || format.zxing === raw || format.native === raw);
+    return match ? match.name : raw;
+}
+
+// ZXing reports GS1-128 as "]C1" + data; split the identifier off so the code
+// itself matches what other engines and the history store hold
+function splitSymbologyId(text) {
+    return text.startsWith(']C1')
+        ? { text: text.slice(3), symbologyId: ']C1' }
+        : { text, symbologyId: null };
+}
+
+function toEngineFormats(names, engine) {
+    return names
+        .map(name => BARCODE_FORMATS.find(format => format.name === name))
+        .filter(Boolean)
+        .map(format => format[engine]);
+}
+
+class NativeBarcodeDecoder {
+    constructor() {
+        this.name = 'BarcodeDetector';
+        this.detector = null;
+    }
+
+    static async getSupportedFormats() {
+        if (typeof BarcodeDetector === 'undefined') return [];
+
+        try {
+            const formats = await BarcodeDetector.getSupportedFormats();
+            return formats.map(normalizeFormatName);
+        } catch (error) {
+            console.warn('BarcodeDetector.getSupportedFormats failed:', error);
+            return [];
+        }
+    }
+
+    getLabel() {
+        return 'BarcodeDetector (native)';
+    }
+
+    async configure(formatNames) {
+        // BarcodeDetector always reports every code it finds
+        try {
+            const formats = toEngineFormats(formatNames, 'native');
+            // Nothing ticked in Settings means read nothing, not everything
+            this.detector = formats.length > 0 ? new BarcodeDetector({ formats }) : null;
+            return true;
+        } catch (error) {
+            console.warn('Could not create BarcodeDetector:', error);
+            return false;
+        }
+    }
+
+    async decode(video, canvas, region) {
+        if (!this.detector) return [];
+
+        const source = region
+            ? await createImageBitmap(video, region.x, region.y, region.width, region.height)
+            : video;
+
+        let barcodes;
+        try {
+            barcodes = await this.detector.detect(source);
+        } finally {
+            if (region) source.close();
+        }
+
+        return barcodes.map(barcode => ({
+            text: barcode.rawValue,
+            format: normalizeFormatName(barcode.format),
+            points: barcode.cornerPoints || []
+        }));
+    }
+
+    dispose() {
+        this.detector = null;
+    }
+}
+
+class ZXingDecoder {
+    constructor() {
+        this.name = 'ZXing';
+        this.mode = null;
+        this.worker = null;
+        this.reader = null;
+        this.pendingDecode = null;
+        this.onWorkerConfigured = null;
+    }
+
+    getLabel() {
+        return this.mode === 'worker' ? 'ZXing (worker)' : 'ZXing (main thread)';
+    }
+
+    async configure(formatNames, options = {}) {
+        const formats = toEngineFormats(formatNames, 'zxing');
+        this.multiple = Boolean(options.multiple);
+        // Without a POSSIBLE_FORMATS hint ZXing would read every format
+        this.hasFormats = formats.length > 0;
+
+        if (await this.configureWorker(formats)) {
+            this.mode = 'worker';
+            return true;
+        }
+
+        // Workers unavailable - decode on the main thread instead
+        return this.configureMainThread(formats);
+    }
+
+    async configureMainThread(formats) {
+        if (typeof ZXing === 'undefined') {
+            await ZXingDecoder.loadLibrary();
+        }
+
+        if (typeof ZXing === 'undefined') {
+            console.warn('ZXing not available, no decoder');
+            return false;
+        }
+
+        this.createReader(formats);
+        this.mode = 'main';
+        return true;
+    }
+
+    static loadLibrary() {
+        return new Promise((resolve) => {
+            const script = document.createElement('script');
+            script.src = ZXING_LIBRARY_URL;
+            script.onload = () => {
+                console.log('ZXing library loaded dynamically');
+                resolve();
+            };
+            script.onerror = () => {
+                console.warn('Failed to load ZXing library');
+                resolve(); // Don't reject, continue without ZXing
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    configureWorker(formats) {
+        if (typeof Worker === 'undefined' || typeof createImageBitmap === 'undefined') {
+            return Promise.resolve(false);
+        }
+
+        return new Promise((resolve) => {
+            try {
+                if (!this.worker) {
+                    this.worker = new Worker('decoder-worker.js');
+                    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+                }
+
+                this.onWorkerConfigured = (ready) => {
+                    this.onWorkerConfigured = null;
+                    if (!ready) this.terminateWorker();
+                    resolve(ready);
+                };
+                this.worker.onerror = (error) => {
+                    console.error('Decode worker failed:', error);
+                    if (this.onWorkerConfigured) {
+                        this.onWorkerConfigured(false);
+                    } else {
+                        this.fallBackToMainThread(formats);
+                    }
+                };
+                this.worker.postMessage({ type: 'configure', formats, multiple: this.multiple });
+            } catch (error) {
+                console.warn('Could not start decode worker:', error);
+                this.worker = null;
+                resolve(false);
+            }
+        });
+    }
+
+    // The worker crashed mid-session: keep scanning on the main thread
+    async fallBackToMainThread(formats) {
+        this.terminateWorker();
+        this.mode = null;
+        if (!await this.configureMainThread(formats)) {
+            console.warn('No ZXing fallback after the decode worker failed');
+        }
+    }
+
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'ready':
+            case 'unavailable':
+                if (this.onWorkerConfigured) {
+                    this.onWorkerConfigured(message.type === 'ready');
+                }
+                break;
+
+            case 'decoded':
+                if (this.pendingDecode) {
+                    const resolve = this.pendingDecode;
+                    this.pendingDecode = null;
+                    resolve((message.results || []).map(result => ({
+                        ...result,
+                        ...splitSymbologyId(result.text),
+                        format: normalizeFormatName(result.format)
+                    })));
+                }
+                break;
+        }
+    }
+
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.worker = null;
+        if (this.pendingDecode) {
+            this.pendingDecode([]);
+            this.pendingDecode = null;
+        }
+    }
+
+    createReader(formats) {
+        const { BrowserMultiFormatReader, DecodeHintType, BarcodeFormat } = ZXing;
+        const hints = new Map();
+        const zxingFormats = formats
+            .map(name => BarcodeFormat[name])
+            .filter(format => format !== undefined);
+
+        if (zxingFormats.length > 0) {
+            hints.set(DecodeHintType.POSSIBLE_FORMATS, zxingFormats);
+        }
+        hints.set(DecodeHintType.TRY_HARDER, true);
+        hints.set(DecodeHintType.ASSUME_GS1, true);
+
+        if (this.reader) {
+            this.reader.reset();
+        }
+        this.reader = new BrowserMultiFormatReader(hints);
+    }
+
+    async decode(video, canvas, region) {
+        if (!this.hasFormats) return [];
+
+        const area = region || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight };
+
+        if (this.mode === 'worker') {
+            return this.decodeInWorker(video, canvas, area);
+        }
+        if (this.mode === 'main') {
+            return this.decodeOnMainThread(video, canvas, area);
+        }
+        // Switching engines after a worker crash
+        return [];
+    }
+
+    drawRegion(video, canvas, area) {
+        canvas.width = area.width;
+        canvas.height = area.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(video, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+        return ctx;
+    }
+
+    async decodeInWorker(video, canvas, area) {
+        const done = new Promise(resolve => {
+            this.pendingDecode = resolve;
+        });
+
+        if (typeof OffscreenCanvas !== 'undefined') {
+            const bitmap = await createImageBitmap(video, area.x, area.y, area.width, area.height);
+            this.worker.postMessage({ type: 'decode', frame: bitmap }, [bitmap]);
+        } else {
+            // No OffscreenCanvas in the worker - hand over raw pixels instead
+            const ctx = this.drawRegion(video, canvas, area);
+            const imageData = ctx.getImageData(0, 0, area.width, area.height);
+            this.worker.postMessage({ type: 'decode', frame: imageData }, [imageData.data.buffer]);
+        }
+
+        return done;
+    }
+
+    decodeOnMainThread(video, canvas, area) {
+        const { HTMLCanvasElementLuminanceSource, RGBLuminanceSource, BinaryBitmap, HybridBinarizer, BarcodeFormat } = ZXing;
+        this.drawRegion(video, canvas, area);
+
+        const source = new HTMLCanvasElementLuminanceSource(canvas);
+        const cropTile = (tile) => {
+            // The canvas source cannot crop - copy the tile's luminance rows like the worker does
+            const matrix = source.getMatrix();
+            const cropped = new Uint8ClampedArray(tile.width * tile.height);
+            for (let y = 0; y < tile.height; y++) {
+                const start = (tile.y + y) * area.width + tile.x;
+                cropped.set(matrix.subarray(start, start + tile.width), y * tile.width);
+            }
+            return new RGBLuminanceSource(cropped, tile.width, tile.height);
+        };
+        const decodeTile = (tile) => {
+            try {
+                const luminance = tile ? cropTile(tile) : source;
+                const result = this.reader.decodeBitmap(new BinaryBitmap(new HybridBinarizer(luminance)));
+                return {
+                    ...splitSymbologyId(result.getText()),
+                    format: normalizeFormatName(BarcodeFormat[result.getBarcodeFormat()]),
+                    points: (result.getResultPoints() || []).map(point => ({
+                        x: point.getX() + (tile ? tile.x : 0),
+                        y: point.getY() + (tile ? tile.y : 0)
+                    }))
+                };
+            } catch (error) {
+                // No barcode found here
+                return null;
+            }
+        };
+
+        const results = [];
+        const first = decodeTile(null);
+        if (first) results.push(first);
+        if (!this.multiple) return results;
+
+        // Same overlapping 2x2 tiling as the worker
+        const tileWidth = Math.round(area.width * 0.6);
+        const tileHeight = Math.round(area.height * 0.6);
+        [0, area.width - tileWidth].forEach(x => {
+            [0, area.height - tileHeight].forEach(y => {
+                const result = decodeTile({ x, y, width: tileWidth, height: tileHeight });
+                if (result && !results.some(existing => existing.text === result.text)) {
+                    results.push(result);
+                }
+            });
+        });
+
+        return results;
+    }
+
+    dispose() {
+        this.terminateWorker();
+        if (this.reader) {
+            this.reader.reset();
+            this.reader = null;
+        }
+    }
+}
@@ -0,0 +1,482 @@
+// Barcode and QR code generation for reprinting labels. encodeBarcode() turns
+// text into a symbol - { kind: 'linear', modules: [bool], text } for 1D codes
+// or { kind: 'matrix', width, height, cells: [bool], text } for 2D codes -
+// which renderSymbolToCanvas() and renderSymbolToSVG() draw. 1D symbologies
+// are encoded here; QR, Data Matrix and Aztec use the ZXing writers, so the
+// library must be loaded first (see ZXingDecoder.loadLibrary()).
+
+// PDF417 is missing because the bundled ZXing build has no PDF417 writer
+const GENERATOR_FORMATS = ['UPC-A', 'UPC-E', 'EAN-13', 'EAN-8', 'Code-128', 'Code-39', 'QR Code', 'Data Matrix', 'ITF', 'Codabar', 'Aztec'];
+
+const MATRIX_FORMATS = ['QR Code', 'Data Matrix', 'Aztec'];
+
+// Quiet zone in modules that each symbology's spec asks for
+const DEFAULT_QUIET_ZONES = {
+    'UPC-A': 9,
+    'UPC-E': 9,
+    'EAN-13': 11,
+    'EAN-8': 7,
+    'QR Code': 4,
+    'Data Matrix': 1,
+    'Aztec': 1
+};
+
+const DEFAULT_LINEAR_QUIET_ZONE = 10;
+
+// Aztec takes an error-correction percentage rather than a level
+const AZTEC_EC_PERCENT = { L: 12, M: 23, Q: 36, H: 50 };
+
+const EAN_L_CODES = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Number system 0; number system 1 swaps L and G
+const UPCE_PARITY = ['GGGLLL', 'GGLGLL', 'GGLLGL', 'GGLLLG', 'GLGGLL', 'GLLGGL', 'GLLLGG', 'GLGLGL', 'GLGLLG', 'GLLGLG'];
+
+// Bar/space widths for Code-128 values 0-106 (106 is the stop pattern)
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const CODE128_START = { A: 103, B: 104, C: 105 };
+const CODE128_SWITCH = { A: 101, B: 100, C: 99 };
+
+// Nine bar/space elements per character in CODE39_CHARSET order, 1 = wide
+const CODE39_PATTERNS = [
+    '000110100', '100100001', '001100001', '101100000', '000110001', '100110000', '001110000', '000100101', '100100100', '001100100',
+    '100001001', '001001001', '101001000', '000011001', '100011000', '001011000', '000001101', '100001100', '001001100', '000011100',
+    '100000011', '001000011', '101000010', '000010011', '100010010', '001010010', '000000111', '100000110', '001000110', '000010110',
+    '110000001', '011000001', '111000000', '010010001', '110010000', '011010000', '010000101', '110000100', '011000100', '010101000',
+    '010100010', '010001010', '000101010'
+];
+const CODE39_ASTERISK = '010010100';
+
+// Five elements per digit, 1 = wide
+const ITF_PATTERNS = ['00110', '10001', '01001', '11000', '00101', '10100', '01100', '00011', '10010', '01010'];
+
+const CODABAR_CHARSET = '0123456789-$:/.+ABCD';
+// Seven bar/space elements per character, 1 = wide
+const CODABAR_PATTERNS = [
+    '0000011', '0000110', '0001001', '1100000', '0010010', '1000010', '0100001', '0100100', '0110000', '1001000',
+    '0001100', '0011000', '1000101', '1010001', '1010100', '0010101', '0011010', '0101001', '0001011', '0001110'
+];
+
+const WIDE_RATIO = 3;
+
+function appendWidths(modules, widths) {
+    // Elements alternate bar, space, bar... starting with a bar
+    [...widths].forEach((width, index) => {
+        for (let i = 0; i < Number(width); i++) modules.push(index % 2 === 0);
+    });
+}
+
+function appendBits(modules, bits) {
+    [...bits].forEach(bit => modules.push(bit === '1'));
+}
+
+// Narrow/wide element flags ('0'/'1') to widths
+function toWideWidths(flags) {
+    return [...flags].map(flag => (flag === '1' ? WIDE_RATIO : 1)).join('');
+}
+
+function toEANBits(digit, parity) {
+    const left = EAN_L_CODES[digit];
+    if (parity === 'L') return left;
+    const right = [...left].map(bit => (bit === '1' ? '0' : '1')).join('');
+    return parity === 'R' ? right : [...right].reverse().join('');
+}
+
+// Adds the check digit when it was left off; rejects a wrong one
+function completeGTIN(text, format, length) {
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`${format} codes contain digits only`);
+    }
+    if (text.length === length - 1) {
+        return text + calculateGTINCheckDigit(text);
+    }
+    if (text.length !== length) {
+        throw new Error(`${format} codes are ${length - 1} digits, or ${length} with the check digit`);
+    }
+
+    const expected = calculateGTINCheckDigit(text.slice(0, -1));
+    if (expected !== text.slice(-1)) {
+        throw new Error(`Invalid check digit (expected ${expected})`);
+    }
+    return text;
+}
+
+function encodeEAN13(digits) {
+    const modules = [];
+    const parity = EAN_PARITY[digits[0]];
+
+    appendBits(modules, '101');
+    for (let i = 1; i <= 6; i++) appendBits(modules, toEANBits(digits[i], parity[i - 1]));
+    appendBits(modules, '01010');
+    for (let i = 7; i <= 12; i++) appendBits(modules, toEANBits(digits[i], 'R'));
+    appendBits(modules, '101');
+    return modules;
+}
+
+function encodeEAN8(digits) {
+    const modules = [];
+
+    appendBits(modules, '101');
+    for (let i = 0; i < 4; i++) appendBits(modules, toEANBits(digits[i], 'L'));
+    appendBits(modules, '01010');
+    for (let i = 4; i < 8; i++) appendBits(modules, toEANBits(digits[i], 'R'));
+    appendBits(modules, '101');
+    return modules;
+}
+
+function encodeUPCE(text) {
+    const expanded = expandUPCE(text);
+    if (!expanded) {
+        throw new Error('UPC-E codes are 6-8 digits starting with 0 or 1');
+    }
+    if (!expanded.checkValid) {
+        throw new Error(`Invalid check digit (expected ${expanded.upcA.slice(-1)})`);
+    }
+
+    const numberSystem = text.length === 6 ? '0' : text[0];
+    const body = text.length === 6 ? text : text.slice(1, 7);
+    const check = expanded.upcA.slice(-1);
+    let parity = UPCE_PARITY[check];
+    if (numberSystem === '1') {
+        parity = [...parity].map(p => (p === 'L' ? 'G' : 'L')).join('');
+    }
+
+    const modules = [];
+    appendBits(modules, '101');
+    [...body].forEach((digit, index) => appendBits(modules, toEANBits(digit, parity[index])));
+    appendBits(modules, '010101');
+
+    return { modules, text: numberSystem + body + check };
+}
+
+function countDigits(text, start) {
+    let end = start;
+    while (end < text.length && text[end] >= '0' && text[end] <= '9') end++;
+    return end - start;
+}
+
+// Code sets B and A for text, C for runs of four or more digits
+function encodeCode128(text) {
+    const values = [];
+    let set = null;
+
+    const switchTo = next => {
+        if (set === next) return;
+        values.push(set === null ? CODE128_START[next] : CODE128_SWITCH[next]);
+        set = next;
+    };
+
+    for (let i = 0; i < text.length;) {
+        const digits = countDigits(text, i);
+        if (digits >= 4) {
+            switchTo('C');
+            const pairs = Math.floor(digits / 2);
+            for (let p = 0; p < pairs; p++, i += 2) {
+                values.push(parseInt(text.substr(i, 2), 10));
+            }
+            continue;
+        }
+
+        const code = text.charCodeAt(i);
+        if (code > 127) {
+            throw new Error('Code-128 can only encode ASCII characters');
+        }
+        if (code < 32) {
+            switchTo('A');
+            values.push(code + 64);
+        } else if (code >= 96) {
+            switchTo('B');
+            values.push(code - 32);
+        } else {
+            // Printable characters shared by A and B; stay in either
+            if (set !== 'A' && set !== 'B') switchTo('B');
+            values.push(code - 32);
+        }
+        i++;
+    }
+
+    if (values.length === 0) {
+        throw new Error('Nothing to encode');
+    }
+
+    const checksum = values.reduce((sum, value, index) => sum + value * Math.max(1, index), 0) % 103;
+    const modules = [];
+    [...values, checksum, 106].forEach(value => appendWidths(modules, CODE128_PATTERNS[value]));
+    return modules;
+}
+
+function encodeCode39(text, { checkDigit = false } = {}) {
+    const data = text.toUpperCase();
+    if ([...data].some(char => !CODE39_CHARSET.includes(char))) {
+        throw new Error('Code-39 supports A-Z, 0-9 and - . $ / + % space');
+    }
+
+    const full = checkDigit ? data + calculateCode39Mod43(data) : data;
+    const modules = [];
+    [CODE39_ASTERISK, ...[...full].map(char => CODE39_PATTERNS[CODE39_CHARSET.indexOf(char)]), CODE39_ASTERISK]
+        .forEach((pattern, index) => {
+            // Narrow space between characters
+            if (index > 0) modules.push(false);
+            appendWidths(modules, toWideWidths(pattern));
+        });
+
+    return { modules, text: full };
+}
+
+function encodeITF(text) {
+    if (!/^\d+$/.test(text)) {
+        throw new Error('ITF codes contain digits only');
+    }
+
+    let digits = text;
+    // ITF-14 is the common case - complete a 13-digit GTIN
+    if (digits.length === 13) {
+        digits += calculateGTINCheckDigit(digits);
+    } else if (digits.length === 14) {
+        digits = completeGTIN(digits, 'ITF-14', 14);
+    } else if (digits.length % 2 !== 0) {
+        digits = `0${digits}`;
+    }
+
+    const modules = [];
+    appendWidths(modules, '1111');
+    for (let i = 0; i < digits.length; i += 2) {
+        // Interleave: the first digit of a pair in the bars, the second in the spaces
+        const bars = ITF_PATTERNS[digits[i]];
+        const spaces = ITF_PATTERNS[digits[i + 1]];
+        let widths = '';
+        for (let j = 0; j < 5; j++) {
+            widths += toWideWidths(bars[j]) + toWideWidths(spaces[j]);
+        }
+        appendWidths(modules, widths);
+    }
+    appendWidths(modules, `${WIDE_RATIO}11`);
+
+    return { modules, text: digits };
+}
+
+function encodeCodabar(text) {
+    let data = text.toUpperCase();
+    // Default to A...A when no start/stop characters were given
+    if (!/^[ABCD].*[ABCD]$/.test(data)) {
+        data = `A${data}A`;
+    }
+    if (/[ABCD]/.test(data.slice(1, -1)) || [...data].some(char => !CODABAR_CHARSET.includes(char))) {
+        throw new Error('Codabar supports 0-9 and - $ : / . + between A-D start/stop characters');
+    }
+
+    const modules = [];
+    [...data].forEach((char, index) => {
+        if (index > 0) modules.push(false);
+        appendWidths(modules, toWideWidths(CODABAR_PATTERNS[CODABAR_CHARSET.indexOf(char)]));
+    });
+
+    return { modules, text: data };
+}
+
+function encodeMatrix(text, format, ecLevel) {
+    if (typeof ZXing === 'undefined') {
+        throw new Error('The 2D code library is not loaded');
+    }
+
+    const hints = new Map();
+    hints.set(ZXing.EncodeHintType.CHARACTER_SET, 'UTF-8');
+    let matrix;
+
+    if (format === 'QR Code') {
+        hints.set(ZXing.EncodeHintType.ERROR_CORRECTION, ecLevel);
+        hints.set(ZXing.EncodeHintType.MARGIN, 0);
+        matrix = new ZXing.QRCodeWriter().encode(text, ZXing.BarcodeFormat.QR_CODE, 0, 0, hints);
+    } else if (format === 'Data Matrix') {
+        matrix = new ZXing.DataMatrixWriter().encode(text, ZXing.BarcodeFormat.DATA_MATRIX, 0, 0, hints);
+    } else {
+        hints.set(ZXing.EncodeHintType.ERROR_CORRECTION, AZTEC_EC_PERCENT[ecLevel]);
+        matrix = new ZXing.AztecCodeWriter().encode(text, ZXing.BarcodeFormat.AZTEC, 0, 0, hints);
+    }
+
+    const width = matrix.getWidth();
+    const height = matrix.getHeight();
+    const cells = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) cells.push(matrix.get(x, y));
+    }
+
+    return { kind: 'matrix', width, height, cells, text };
+}
+
+// `options` is { ecLevel: 'L' | 'M' | 'Q' | 'H', code39CheckDigit }
+function encodeBarcode(input, format, options = {}) {
+    const text = (input || '').trim();
+    if (!text) {
+        throw new Error('Enter the text to encode');
+    }
+
+    if (MATRIX_FORMATS.includes(format)) {
+        return encodeMatrix(text, format, options.ecLevel || 'M');
+    }
+
+    let result;
+    switch (format) {
+        case 'EAN-13': {
+            const digits = completeGTIN(text, format, 13);
+            result = { modules: encodeEAN13(digits), text: digits };
+            break;
+        }
+        case 'UPC-A': {
+            // UPC-A is an EAN-13 with a leading zero
+            const digits = completeGTIN(text, format, 12);
+            result = { modules: encodeEAN13(`0${digits}`), text: digits };
+            break;
+        }
+        case 'EAN-8': {
+            const digits = completeGTIN(text, format, 8);
+            result = { modules: encodeEAN8(digits), text: digits };
+            break;
+        }
+        case 'UPC-E':
+            result = encodeUPCE(text);
+            break;
+        case 'Code-128':
+            result = { modules: encodeCode128(text), text };
+            break;
+        case 'Code-39':
+            result = encodeCode39(text, { checkDigit: options.code39CheckDigit });
+            break;
+        case 'ITF':
+            result = encodeITF(text);
+            break;
+        case 'Codabar':
+            result = encodeCodabar(text);
+            break;
+        default:
+            throw new Error(`${format} codes cannot be generated`);
+    }
+
+    return { kind: 'linear', ...result };
+}
+
+function getDefaultQuietZone(format) {
+    return DEFAULT_QUIET_ZONES[format] ?? DEFAULT_LINEAR_QUIET_ZONE;
+}
+
+// Runs of dark modules as [start, length] pairs
+function getDarkRuns(modules) {
+    const runs = [];
+    for (let i = 0; i < modules.length; i++) {
+        if (!modules[i]) continue;
+        const start = i;
+        while (i < modules.length && modules[i]) i++;
+        runs.push([start, i - start]);
+    }
+    return runs;
+}
+
+function getMatrixRows(symbol) {
+    const rows = [];
+    for (let y = 0; y < symbol.height; y++) {
+        rows.push(symbol.cells.slice(y * symbol.width, (y + 1) * symbol.width));
+    }
+    return rows;
+}
+
+// `options` is { moduleSize, quietZone (modules), barHeight (px), showText }
+function getSymbolLayout(symbol, options) {
+    const moduleSize = options.moduleSize;
+    const margin = options.quietZone * moduleSize;
+    const textSize = symbol.kind === 'linear' && options.showText ? Math.max(10, moduleSize * 7) : 0;
+
+    if (symbol.kind === 'linear') {
+        return {
+            moduleSize,
+            margin,
+            textSize,
+            width: symbol.modules.length * moduleSize + margin * 2,
+            height: options.barHeight + (textSize ? textSize * 1.4 : 0) + margin / 2
+        };
+    }
+
+    return {
+        moduleSize,
+        margin,
+        textSize,
+        width: symbol.width * moduleSize + margin * 2,
+        height: symbol.height * moduleSize + margin * 2
+    };
+}
+
+function renderSymbolToCanvas(symbol, canvas, options) {
+    const layout = getSymbolLayout(symbol, options);
+    canvas.width = layout.width;
+    canvas.height = layout.height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#000';
+
+    if (symbol.kind === 'linear') {
+        const top = layout.margin / 4;
+        getDarkRuns(symbol.modules).forEach(([start, length]) => {
+            ctx.fillRect(layout.margin + start * layout.moduleSize, top, length * layout.moduleSize, options.barHeight);
+        });
+
+        if (layout.textSize) {
+            ctx.font = `${layout.textSize}px monospace`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(symbol.text, canvas.width / 2, top + options.barHeight + layout.textSize * 0.2);
+        }
+        return;
+    }
+
+    getMatrixRows(symbol).forEach((row, y) => {
+        getDarkRuns(row).forEach(([start, length]) => {
+            ctx.fillRect(layout.margin + start * layout.moduleSize, layout.margin + y * layout.moduleSize,
+                length * layout.moduleSize, layout.moduleSize);
+        });
+    });
+}
+
+function renderSymbolToSVG(symbol, options) {
+    const layout = getSymbolLayout(symbol, options);
+    const rects = [];
+
+    if (symbol.kind === 'linear') {
+        const top = layout.margin / 4;
+        getDarkRuns(symbol.modules).forEach(([start, length]) => {
+            rects.push(`<rect x="${layout.margin + start * layout.moduleSize}" y="${top}" width="${length * layout.moduleSize}" height="${options.barHeight}"/>`);
+        });
+
+        if (layout.textSize) {
+            rects.push(`<text x="${layout.width / 2}" y="${top + options.barHeight + layout.textSize * 1.1}" font-family="monospace" font-size="${layout.textSize}" text-anchor="middle">${escapeXml(symbol.text)}</text>`);
+        }
+    } else {
+        getMatrixRows(symbol).forEach((row, y) => {
+            getDarkRuns(row).forEach(([start, length]) => {
+                rects.push(`<rect x="${layout.margin + start * layout.moduleSize}" y="${layout.margin + y * layout.moduleSize}" width="${length * layout.moduleSize}" height="${layout.moduleSize}"/>`);
+            });
+        });
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}" shape-rendering="crispEdges">`,
+        `<rect width="100%" height="100%" fill="#fff"/>`,
+        `<g fill="#000">${rects.join('')}</g>`,
+        '</svg>'
+    ].join('\n');
+}
@@ -0,0 +1,286 @@
+// GS1 Application Identifier parsing for GS1-128, GS1 DataMatrix, GS1 QR and
+// GS1 Digital Link URIs. parseGS1() returns null for anything that is not a GS1
+// payload, otherwise { elements, gtin, lot, expiry, bestBefore, serial,
+// netWeight, isExpired } where `elements` keeps every AI in label order.
+
+const GS1_GROUP_SEPARATOR = '\u001d';
+
+// Symbology identifiers that mark FNC1-in-first-position (GS1) data
+const GS1_SYMBOLOGY_PREFIXES = [']C1', ']e0', ']d2', ']Q3', ']J1'];
+
+// `length` is a fixed data length, `maxLength` a variable one terminated by GS.
+// Entries with `decimal` take the 4th AI digit as the implied decimal places.
+const GS1_AIS = {
+    '00': { title: 'SSCC', length: 18 },
+    '01': { title: 'GTIN', length: 14 },
+    '02': { title: 'Content GTIN', length: 14 },
+    '10': { title: 'Batch/Lot', maxLength: 20 },
+    '11': { title: 'Production date', length: 6, type: 'date' },
+    '12': { title: 'Due date', length: 6, type: 'date' },
+    '13': { title: 'Packaging date', length: 6, type: 'date' },
+    '15': { title: 'Best before', length: 6, type: 'date' },
+    '16': { title: 'Sell by', length: 6, type: 'date' },
+    '17': { title: 'Expiry', length: 6, type: 'date' },
+    '20': { title: 'Variant', length: 2 },
+    '21': { title: 'Serial', maxLength: 20 },
+    '22': { title: 'Consumer product variant', maxLength: 20 },
+    '235': { title: 'Third-party serial', maxLength: 28 },
+    '240': { title: 'Additional product ID', maxLength: 30 },
+    '241': { title: 'Customer part number', maxLength: 30 },
+    '250': { title: 'Secondary serial', maxLength: 30 },
+    '251': { title: 'Source entity reference', maxLength: 30 },
+    '253': { title: 'GDTI', maxLength: 30 },
+    '254': { title: 'GLN extension', maxLength: 20 },
+    '30': { title: 'Variable count', maxLength: 8 },
+    '310': { title: 'Net weight', length: 6, decimal: true, unit: 'kg' },
+    '311': { title: 'Length', length: 6, decimal: true, unit: 'm' },
+    '312': { title: 'Width', length: 6, decimal: true, unit: 'm' },
+    '313': { title: 'Depth', length: 6, decimal: true, unit: 'm' },
+    '314': { title: 'Area', length: 6, decimal: true, unit: 'm²' },
+    '315': { title: 'Net volume', length: 6, decimal: true, unit: 'l' },
+    '316': { title: 'Net volume', length: 6, decimal: true, unit: 'm³' },
+    '320': { title: 'Net weight', length: 6, decimal: true, unit: 'lb' },
+    '330': { title: 'Gross weight', length: 6, decimal: true, unit: 'kg' },
+    '37': { title: 'Count of trade items', maxLength: 8 },
+    '390': { title: 'Amount payable', maxLength: 15, decimal: true },
+    '392': { title: 'Price', maxLength: 15, decimal: true },
+    '400': { title: 'Customer order number', maxLength: 30 },
+    '401': { title: 'Consignment number', maxLength: 30 },
+    '402': { title: 'Shipment ID', length: 17 },
+    '403': { title: 'Routing code', maxLength: 30 },
+    '410': { title: 'Ship to GLN', length: 13 },
+    '411': { title: 'Bill to GLN', length: 13 },
+    '412': { title: 'Purchased from GLN', length: 13 },
+    '413': { title: 'Ship for GLN', length: 13 },
+    '414': { title: 'Location GLN', length: 13 },
+    '415': { title: 'Invoicing party GLN', length: 13 },
+    '420': { title: 'Ship to postal code', maxLength: 20 },
+    '421': { title: 'Ship to postal code (ISO)', maxLength: 12 },
+    '422': { title: 'Country of origin', length: 3 },
+    '7003': { title: 'Expiry date/time', length: 10 },
+    '8003': { title: 'GRAI', maxLength: 30 },
+    '8004': { title: 'GIAI', maxLength: 30 },
+    '8005': { title: 'Price per unit', length: 6 },
+    '8008': { title: 'Production date/time', maxLength: 12 },
+    '8020': { title: 'Payment slip reference', maxLength: 25 },
+    '90': { title: 'Internal', maxLength: 30 },
+    '91': { title: 'Company internal', maxLength: 90 },
+    '92': { title: 'Company internal', maxLength: 90 },
+    '93': { title: 'Company internal', maxLength: 90 },
+    '94': { title: 'Company internal', maxLength: 90 },
+    '95': { title: 'Company internal', maxLength: 90 },
+    '96': { title: 'Company internal', maxLength: 90 },
+    '97': { title: 'Company internal', maxLength: 90 },
+    '98': { title: 'Company internal', maxLength: 90 },
+    '99': { title: 'Company internal', maxLength: 90 }
+};
+
+function lookupAI(data) {
+    // Four-digit AIs first, then the decimal families (310n), then 3 and 2 digits
+    if (GS1_AIS[data.slice(0, 4)]) {
+        return { ai: data.slice(0, 4), definition: GS1_AIS[data.slice(0, 4)] };
+    }
+
+    const three = GS1_AIS[data.slice(0, 3)];
+    if (three && three.decimal && /^\d$/.test(data[3])) {
+        return { ai: data.slice(0, 4), definition: three, decimals: parseInt(data[3], 10) };
+    }
+    if (three) {
+        return { ai: data.slice(0, 3), definition: three };
+    }
+
+    const two = GS1_AIS[data.slice(0, 2)];
+    return two ? { ai: data.slice(0, 2), definition: two } : null;
+}
+
+function parseGS1Date(value) {
+    if (!/^\d{6}$/.test(value)) return null;
+
+    const yy = parseInt(value.slice(0, 2), 10);
+    const month = parseInt(value.slice(2, 4), 10);
+    let day = parseInt(value.slice(4, 6), 10);
+    if (month < 1 || month > 12) return null;
+
+    // GS1 General Specifications 7.12 - sliding century window
+    const currentYear = new Date().getFullYear();
+    let year = Math.floor(currentYear / 100) * 100 + yy;
+    if (year - currentYear >= 51) year -= 100;
+    if (year - currentYear <= -50) year += 100;
+
+    // Day 00 means the last day of the month
+    if (day === 0) {
+        day = new Date(year, month, 0).getDate();
+    }
+
+    const pad = n => String(n).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function createGS1Element(ai, definition, value, decimals) {
+    const element = { ai, title: definition.title, value, display: value };
+
+    if (definition.type === 'date') {
+        element.date = parseGS1Date(value);
+        element.display = element.date || value;
+    } else if (decimals !== undefined) {
+        element.number = parseInt(value, 10) / Math.pow(10, decimals);
+        element.unit = definition.unit || null;
+        element.display = element.unit ? `${element.number} ${element.unit}` : String(element.number);
+    }
+
+    return element;
+}
+
+function parseElementString(data) {
+    const elements = [];
+    let position = 0;
+
+    while (position < data.length) {
+        // Tolerate stray separators (e.g. a trailing GS after a variable field)
+        if (data[position] === GS1_GROUP_SEPARATOR) {
+            position++;
+            continue;
+        }
+
+        const match = lookupAI(data.slice(position));
+        if (!match) return null;
+
+        position += match.ai.length;
+        let value;
+
+        if (match.definition.length) {
+            value = data.slice(position, position + match.definition.length);
+            if (value.length !== match.definition.length) return null;
+            position += match.definition.length;
+        } else {
+            const end = data.indexOf(GS1_GROUP_SEPARATOR, position);
+            value = data.slice(position, end === -1 ? data.length : end);
+            if (value.length === 0 || value.length > match.definition.maxLength) return null;
+            position = end === -1 ? data.length : end + 1;
+        }
+
+        elements.push(createGS1Element(match.ai, match.definition, value, match.decimals));
+    }
+
+    return elements.length > 0 ? elements : null;
+}
+
+function parseBracketedElementString(text) {
+    // Human-readable form: (01)09506000134352(17)201225(10)ABC123
+    const elements = [];
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const found = lookupAI(match[1] + '0');
+        if (!found) return null;
+
+        const ai = match[1];
+        const decimals = found.decimals !== undefined && ai.length === 4 ? parseInt(ai[3], 10) : undefined;
+        elements.push(createGS1Element(ai, found.definition, match[2], decimals));
+    }
+
+    return elements.length > 0 ? elements : null;
+}
+
+function parseDigitalLink(text) {
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        return null;
+    }
+
+    // Primary key and qualifiers live in the path as /ai/value pairs
+    let segments;
+    try {
+        segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        // A stray '%' (".../50%off") - not a Digital Link
+        return null;
+    }
+    // A GTIN with a wrong check digit is a look-alike URL, not a Digital Link
+    const start = segments.findIndex((segment, i) => (segment === '01' || segment === 'gtin') && isValidGTIN(segments[i + 1] || ''));
+    if (start === -1) return null;
+
+    const pairs = [];
+    for (let i = start; i + 1 < segments.length; i += 2) {
+        pairs.push([segments[i] === 'gtin' ? '01' : segments[i], segments[i + 1]]);
+    }
+    url.searchParams.forEach((value, key) => {
+        if (/^\d{2,4}$/.test(key)) pairs.push([key, value]);
+    });
+
+    const elements = [];
+    for (const [ai, rawValue] of pairs) {
+        const found = lookupAI(ai + '0');
+        if (!found) continue;
+
+        const value = ai === '01' ? rawValue.padStart(14, '0') : rawValue;
+        const decimals = found.decimals !== undefined && ai.length === 4 ? parseInt(ai[3], 10) : undefined;
+        elements.push(createGS1Element(ai, found.definition, value, decimals));
+    }
+
+    return elements.length > 0 ? elements : null;
+}
+
+function looksLikeGS1(text, format) {
+    // ZXing drops the leading FNC1, so GS1-128 / GS1 DataMatrix arrive as plain
+    // element strings - accept them only if they open with a valid AI 00/01/02
+    if (!['Code-128', 'Data Matrix', 'QR Code'].includes(format)) return false;
+    if (text.includes(GS1_GROUP_SEPARATOR)) return true;
+
+    const match = /^(?:00(\d{18})|0[12](\d{14}))/.exec(text);
+    if (!match) return false;
+    const key = match[1] || match[2];
+    return calculateGTINCheckDigit(key.slice(0, -1)) === key.slice(-1);
+}
+
+function summariseGS1(elements, source) {
+    const find = (...ais) => elements.find(element => ais.some(ai => element.ai.startsWith(ai)));
+    const gtin = find('01') || find('02');
+    const expiry = find('17');
+    const weight = find('310', '320');
+    // Expiry dates are printed in local time; toISOString() would use UTC's day
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+    return {
+        source,
+        elements,
+        gtin: gtin ? gtin.value : null,
+        lot: find('10')?.value || null,
+        expiry: expiry ? expiry.date : null,
+        bestBefore: find('15')?.date || null,
+        serial: find('21')?.value || null,
+        netWeight: weight ? { value: weight.number, unit: weight.unit } : null,
+        isExpired: Boolean(expiry && expiry.date && expiry.date < today)
+    };
+}
+
+function parseGS1(text, format) {
+    if (!text) return null;
+
+    if (/^https?:\/\//i.test(text)) {
+        const elements = parseDigitalLink(text);
+        return elements ? summariseGS1(elements, 'Digital Link') : null;
+    }
+
+    if (/^\(\d{2,4}\)/.test(text)) {
+        const elements = parseBracketedElementString(text);
+        return elements ? summariseGS1(elements, 'Element string') : null;
+    }
+
+    let data = text;
+    const prefix = GS1_SYMBOLOGY_PREFIXES.find(id => data.startsWith(id));
+    if (prefix) {
+        data = data.slice(prefix.length);
+    } else if (data.startsWith(GS1_GROUP_SEPARATOR)) {
+        data = data.slice(1);
+    } else if (!looksLikeGS1(data, format)) {
+        return null;
+    }
+
+    const elements = parseElementString(data);
+    return elements ? summariseGS1(elements, 'Element string') : null;
+}
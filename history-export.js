@@ -0,0 +1,522 @@
+// History export / import. Supports CSV (configurable columns and delimiter),
+// JSON (full entries, lossless) and XLSX. The XLSX writer stores files
+// uncompressed; the reader inflates with DecompressionStream so workbooks
+// re-saved by a spreadsheet app import too.
+
+const HISTORY_COLUMNS = [
+    { id: 'timestamp', label: 'Timestamp', get: entry => entry.timestamp },
+    { id: 'code', label: 'Code', get: entry => entry.code },
+    { id: 'format', label: 'Format', get: entry => entry.format },
+    { id: 'gtin', label: 'GTIN', get: entry => entry.gtin },
+    { id: 'product', label: 'Product', get: entry => entry.product },
+    { id: 'brand', label: 'Brand', get: entry => entry.productData?.brand },
+    { id: 'productSource', label: 'Product source', get: entry => entry.productData?.source },
+    { id: 'lot', label: 'Batch/Lot', get: entry => entry.gs1?.lot },
+    { id: 'expiry', label: 'Expiry', get: entry => entry.gs1?.expiry },
+    { id: 'source', label: 'Scanned via', get: entry => entry.source },
+    { id: 'bin', label: 'Location/Bin', get: entry => entry.meta?.bin },
+    { id: 'quantity', label: 'Quantity', get: entry => entry.meta?.quantity },
+    { id: 'condition', label: 'Condition', get: entry => entry.meta?.condition },
+    { id: 'tags', label: 'Tags', get: entry => (entry.meta?.tags || []).join(', ') },
+    { id: 'note', label: 'Note', get: entry => entry.meta?.note },
+    { id: 'latitude', label: 'Latitude', get: entry => entry.location?.latitude },
+    { id: 'longitude', label: 'Longitude', get: entry => entry.location?.longitude }
+];
+
+const DEFAULT_EXPORT_COLUMNS = ['timestamp', 'code', 'format', 'gtin', 'product', 'brand'];
+
+const EXPORT_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+// Built-in columns followed by one per custom field (ids prefixed "custom:")
+function getAvailableColumns(customFields = []) {
+    return [
+        ...HISTORY_COLUMNS,
+        ...customFields.map(field => ({
+            id: `custom:${field.id}`,
+            label: field.label,
+            custom: field,
+            get: entry => entry.meta?.custom?.[field.id]
+        }))
+    ];
+}
+
+function getExportColumns(ids, customFields = []) {
+    const columns = getAvailableColumns(customFields);
+    return ids.map(id => columns.find(column => column.id === id)).filter(Boolean);
+}
+
+function toExportRows(entries, columns) {
+    return [
+        columns.map(column => column.label),
+        ...entries.map(entry => columns.map(column => {
+            const value = column.get(entry);
+            return value === undefined || value === null ? '' : value;
+        }))
+    ];
+}
+
+// CSV
+
+function escapeCSVField(value, delimiter) {
+    let text = String(value);
+    // Stop spreadsheet apps from running decoded data as a formula
+    if (/^[=+\-@]/.test(text) && typeof value !== 'number') {
+        text = `'${text}`;
+    }
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(rows, delimiter = ',') {
+    return rows.map(row => row.map(value => escapeCSVField(value, delimiter)).join(delimiter)).join('\r\n');
+}
+
+function detectCSVDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    return Object.values(EXPORT_DELIMITERS)
+        .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+function parseCSV(text, delimiter = detectCSVDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// ZIP (just enough for XLSX)
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBytes = encoder.encode(name);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(12, 0x21, true); // 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed workbooks');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    let end = buffer.byteLength - 22;
+    while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+    if (end < 0) throw new Error('Not a ZIP archive');
+
+    const count = view.getUint16(end + 10, true);
+    let position = view.getUint32(end + 16, true);
+    const files = {};
+
+    for (let i = 0; i < count; i++) {
+        const method = view.getUint16(position + 10, true);
+        const size = view.getUint32(position + 20, true);
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, position + 46, nameLength));
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, size);
+        files[name] = async () => decoder.decode(method === 8 ? await inflateRaw(data) : data);
+
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
+
+// XLSX
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters (e.g. GS1 group separators) are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function toColumnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function fromColumnName(name) {
+    return name.split('').reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+function toXlsx(rows, sheetName = 'Scans') {
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => {
+        const ref = `${toColumnName(c)}${r + 1}`;
+        return typeof value === 'number'
+            ? `<c r="${ref}"><v>${value}</v></c>`
+            : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`
+        },
+        {
+            name: '_rels/.rels',
+            content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            content: `${xml}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`
+        }
+    ]);
+}
+
+async function readXlsx(buffer) {
+    const files = await readZip(buffer);
+    const parser = new DOMParser();
+    const parse = async name => parser.parseFromString(await files[name](), 'application/xml');
+
+    const sheetName = files['xl/worksheets/sheet1.xml']
+        ? 'xl/worksheets/sheet1.xml'
+        : Object.keys(files).find(name => /^xl\/worksheets\/[^/]+\.xml$/.test(name));
+    if (!sheetName) throw new Error('Workbook has no worksheet');
+
+    const sharedStrings = files['xl/sharedStrings.xml']
+        ? [...(await parse('xl/sharedStrings.xml')).getElementsByTagName('si')].map(si =>
+            [...si.getElementsByTagName('t')].map(t => t.textContent).join(''))
+        : [];
+
+    const rows = [];
+    [...(await parse(sheetName)).getElementsByTagName('row')].forEach(rowElement => {
+        const row = [];
+        [...rowElement.getElementsByTagName('c')].forEach(cell => {
+            // Cells without a reference follow on from the previous one
+            const reference = (cell.getAttribute('r') || '').replace(/\d+$/, '');
+            const column = reference ? fromColumnName(reference) : row.length;
+            const type = cell.getAttribute('t');
+            const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+
+            if (type === 's') {
+                row[column] = sharedStrings[parseInt(value, 10)] ?? '';
+            } else if (type === 'inlineStr') {
+                row[column] = [...cell.getElementsByTagName('t')].map(t => t.textContent).join('');
+            } else {
+                row[column] = value;
+            }
+        });
+        rows.push(Array.from(row, cell => cell ?? ''));
+    });
+
+    return rows.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+}
+
+// Import
+
+// Map a header row back to columns by label or id; returns validated entries
+// plus { row, message } errors for rows that could not be used
+function rowsToEntries(rows, customFields = []) {
+    const [header = [], ...body] = rows;
+    const available = getAvailableColumns(customFields);
+    const columns = header.map(label => {
+        const key = String(label).trim().toLowerCase();
+        return available.find(column => column.label.toLowerCase() === key || column.id.toLowerCase() === key) || null;
+    });
+
+    if (!columns.some(column => column?.id === 'code')) {
+        return { entries: [], errors: [{ row: 1, message: 'No "Code" column found' }] };
+    }
+
+    const entries = [];
+    const errors = [];
+
+    body.forEach((cells, index) => {
+        const values = {};
+        const custom = {};
+        columns.forEach((column, i) => {
+            if (column && cells[i] !== undefined) {
+                // Undo the formula guard added on export
+                const value = String(cells[i]).trim().replace(/^'(?=[=+\-@])/, '');
+                if (column.custom) {
+                    custom[column.custom.id] = column.custom.type === 'number' && value !== '' ? parseFloat(value) : value;
+                } else {
+                    values[column.id] = value;
+                }
+            }
+        });
+        const quantity = parseFloat(values.quantity);
+
+        const result = validateImportedEntry({
+            code: values.code,
+            format: values.format,
+            timestamp: values.timestamp,
+            gtin: values.gtin || null,
+            product: values.product || null,
+            productData: values.product && (values.brand || values.productSource)
+                ? { name: values.product, brand: values.brand || '', source: values.productSource || '' }
+                : null,
+            source: values.source || 'import',
+            location: values.latitude && values.longitude
+                ? { latitude: parseFloat(values.latitude), longitude: parseFloat(values.longitude), accuracy: 0 }
+                : null,
+            meta: {
+                ...createEmptyMeta(),
+                bin: values.bin || '',
+                quantity: isNaN(quantity) ? null : quantity,
+                condition: values.condition || '',
+                tags: parseTags(values.tags),
+                note: values.note || '',
+                custom
+            }
+        });
+
+        if (result.error) {
+            errors.push({ row: index + 2, message: result.error });
+        } else {
+            entries.push(result.entry);
+        }
+    });
+
+    return { entries, errors };
+}
+
+function validateImportedEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return { error: 'Not a scan entry' };
+    }
+    if (typeof entry.code !== 'string' || entry.code.trim() === '') {
+        return { error: 'Missing code' };
+    }
+
+    const time = entry.timestamp ? new Date(entry.timestamp) : null;
+    if (!time || isNaN(time.getTime())) {
+        return { error: `Invalid timestamp "${entry.timestamp || ''}"` };
+    }
+
+    // Ids end up in comma-joined data-ids attributes and are compared as strings
+    const id = typeof entry.id === 'string' || typeof entry.id === 'number' ? String(entry.id).trim() : '';
+    const { gs1, payload, ...rest } = entry;
+
+    return {
+        entry: {
+            ...rest,
+            id: id && !id.includes(',') ? id : undefined,
+            code: entry.code.trim(),
+            format: typeof entry.format === 'string' && entry.format ? entry.format : 'Unknown',
+            timestamp: time.toISOString(),
+            // Malformed GS1 data is dropped and re-parsed from the code; payloads
+            // are always re-derived since they only ever depend on the code
+            ...(isImportedGS1(gs1) ? { gs1 } : {}),
+            gtin: typeof entry.gtin === 'string' && entry.gtin ? entry.gtin : null,
+            product: typeof entry.product === 'string' && entry.product ? entry.product : null,
+            productData: sanitizeImportedProductData(entry.productData),
+            thumbnail: isImageDataUrl(entry.thumbnail) ? entry.thumbnail : null,
+            location: sanitizeImportedLocation(entry.location),
+            meta: sanitizeMeta(entry.meta)
+        }
+    };
+}
+
+function isImportedGS1(gs1) {
+    return Boolean(gs1 && typeof gs1 === 'object' && typeof gs1.source === 'string' &&
+        (gs1.gtin === null || typeof gs1.gtin === 'string') &&
+        Array.isArray(gs1.elements) && gs1.elements.length > 0 &&
+        gs1.elements.every(element => element && ['ai', 'title', 'display'].every(key => typeof element[key] === 'string')));
+}
+
+// Keep product fields as text and links only when they are http(s)
+function sanitizeImportedProductData(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    const product = {};
+    [...PRODUCT_FIELDS, 'source'].forEach(field => {
+        if (typeof data[field] === 'string' && data[field]) product[field] = data[field];
+    });
+    ['image', 'sourceUrl'].forEach(field => {
+        if (product[field] && !isWebUrl(product[field])) delete product[field];
+    });
+    if (Object.keys(product).length === 0) return null;
+
+    if (Array.isArray(data.searchLinks)) {
+        product.searchLinks = data.searchLinks
+            .filter(link => link && typeof link.name === 'string' && isWebUrl(link.url))
+            .map(link => ({ name: link.name, url: link.url }));
+    }
+    if (Array.isArray(data.sources)) {
+        product.sources = data.sources.filter(source => typeof source === 'string');
+    }
+    if (data.fieldSources && typeof data.fieldSources === 'object') {
+        product.fieldSources = {};
+        Object.entries(data.fieldSources).forEach(([field, source]) => {
+            if (typeof source === 'string') product.fieldSources[field] = source;
+        });
+    }
+
+    product.name = product.name || 'Unknown Product';
+    return product;
+}
+
+function sanitizeImportedLocation(location) {
+    if (!location || typeof location !== 'object') return null;
+    const [latitude, longitude, accuracy] = [location.latitude, location.longitude, location.accuracy].map(Number);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    return { latitude, longitude, accuracy: Number.isFinite(accuracy) ? accuracy : 0 };
+}
+
+function parseJSONHistory(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { entries: [], errors: [{ row: 0, message: 'File is not valid JSON' }] };
+    }
+
+    const list = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(list)) {
+        return { entries: [], errors: [{ row: 0, message: 'No "entries" list found' }] };
+    }
+
+    const entries = [];
+    const errors = [];
+    list.forEach((item, index) => {
+        const result = validateImportedEntry(item);
+        if (result.error) {
+            errors.push({ row: index + 1, message: result.error });
+        } else {
+            entries.push(result.entry);
+        }
+    });
+    return { entries, errors };
+}
+
+function getHistoryDedupeKey(entry) {
+    return `${entry.code}|${entry.format}|${entry.timestamp}`;
+}
+
+// Returns the incoming entries that are not already present, matching on id
+// or on code + format + timestamp
+function selectNewHistoryEntries(existing, incoming) {
+    const ids = new Set(existing.map(entry => entry.id).filter(Boolean));
+    const keys = new Set(existing.map(getHistoryDedupeKey));
+
+    return incoming.filter(entry => {
+        const key = getHistoryDedupeKey(entry);
+        if ((entry.id && ids.has(entry.id)) || keys.has(key)) return false;
+        keys.add(key);
+        if (entry.id) ids.add(entry.id);
+        return true;
+    });
+}
@@ -0,0 +1,86 @@
+// Scan history in IndexedDB. Entries are plain objects keyed by `id`:
+// { id, code, format, gtin, gs1, payload, timestamp, source, product,
+//   productData, thumbnail, location } - `product` stays the display name
+// while `productData` keeps the full merged provider result.
+
+function createHistoryId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Upgrade step for SCANNER_DB_VERSION 2 - copies the old 50-entry
+// localStorage list into the new store inside the upgrade transaction
+function migrateLocalStorageHistory(transaction) {
+    let entries;
+    try {
+        entries = JSON.parse(localStorage.getItem('scanHistory') || '[]');
+    } catch (error) {
+        console.warn('Old scan history is unreadable, skipping migration:', error);
+        return;
+    }
+    if (!Array.isArray(entries) || entries.length === 0) return;
+
+    const store = transaction.objectStore('history');
+    entries.forEach(entry => store.put({ source: 'camera', ...entry, id: entry.id || createHistoryId() }));
+
+    transaction.addEventListener('complete', () => {
+        localStorage.removeItem('scanHistory');
+        console.log(`Migrated ${entries.length} history entries to IndexedDB`);
+    });
+}
+
+class HistoryStore {
+    async getAll() {
+        try {
+            const entries = (await withStore('history', 'readonly', store => store.getAll())) || [];
+            // Migrated or imported rows may lack a timestamp - keep them, sorted last
+            return entries.sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+        } catch (error) {
+            console.warn('Could not load history:', error);
+            return [];
+        }
+    }
+
+    async put(entry) {
+        try {
+            await withStore('history', 'readwrite', store => store.put(entry));
+        } catch (error) {
+            console.warn('Could not save history entry:', error);
+        }
+    }
+
+    async putAll(entries) {
+        try {
+            await withStore('history', 'readwrite', store => {
+                entries.forEach(entry => store.put(entry));
+            });
+        } catch (error) {
+            console.warn('Could not save history entries:', error);
+        }
+    }
+
+    async delete(ids) {
+        try {
+            await withStore('history', 'readwrite', store => {
+                [].concat(ids).forEach(id => store.delete(id));
+            });
+        } catch (error) {
+            console.warn('Could not delete history entries:', error);
+        }
+    }
+
+    async clear() {
+        try {
+            await withStore('history', 'readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('Could not clear history:', error);
+        }
+    }
+
+    // Returns the entries to drop under { maxEntries, maxDays } (0 = unlimited);
+    // `entries` must be sorted newest first
+    static selectExpired(entries, { maxEntries = 0, maxDays = 0 }) {
+        const cutoff = maxDays > 0 ? new Date(Date.now() - maxDays * 24 * 60 * 60 * 1000).toISOString() : null;
+        return entries.filter((entry, index) =>
+            (maxEntries > 0 && index >= maxEntries) || (cutoff && entry.timestamp < cutoff));
+    }
+}
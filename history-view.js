@@ -0,0 +1,82 @@
+// Pure helpers behind the History modal: filtering, grouping by day and
+// collapsing repeated codes. No DOM access here - app.js renders the rows.
+
+function toLocalDateKey(timestamp) {
+    const date = new Date(timestamp);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDayLabel(dateKey) {
+    const today = toLocalDateKey(Date.now());
+    const yesterday = toLocalDateKey(Date.now() - 24 * 60 * 60 * 1000);
+    if (dateKey === today) return 'Today';
+    if (dateKey === yesterday) return 'Yesterday';
+
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, {
+        weekday: 'short', year: 'numeric', month: 'short', day: 'numeric'
+    });
+}
+
+// Text searched by the history search box, including audit metadata
+function getHistorySearchText(entry) {
+    return [
+        entry.code,
+        entry.gtin,
+        entry.product,
+        entry.productData?.brand,
+        getMetaSearchText(entry.meta)
+    ].filter(Boolean).join(' ').toLowerCase();
+}
+
+// `filters` is { query, format, from, to } with from/to as local YYYY-MM-DD
+function filterHistory(entries, filters = {}) {
+    const terms = (filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    return entries.filter(entry => {
+        if (filters.format && entry.format !== filters.format) return false;
+
+        const day = toLocalDateKey(entry.timestamp);
+        if (filters.from && day < filters.from) return false;
+        if (filters.to && day > filters.to) return false;
+
+        if (terms.length > 0) {
+            const text = getHistorySearchText(entry);
+            return terms.every(term => text.includes(term));
+        }
+        return true;
+    });
+}
+
+// Returns [{ day, label, rows: [{ entry, ids, count }] }], newest first.
+// With `collapseDuplicates`, repeat scans of a code on the same day share a
+// row whose `entry` is the newest scan and whose `ids` cover all of them.
+function groupHistory(entries, { collapseDuplicates = false } = {}) {
+    const groups = [];
+    const byDay = new Map();
+
+    entries.forEach(entry => {
+        const day = toLocalDateKey(entry.timestamp);
+        let group = byDay.get(day);
+        if (!group) {
+            group = { day, label: formatDayLabel(day), rows: [], rowsByCode: new Map() };
+            byDay.set(day, group);
+            groups.push(group);
+        }
+
+        const key = `${entry.format}|${entry.code}`;
+        const existing = collapseDuplicates && entry.type !== 'batch' ? group.rowsByCode.get(key) : null;
+        if (existing) {
+            existing.ids.push(entry.id);
+            existing.count++;
+            return;
+        }
+
+        const row = { entry, ids: [entry.id], count: 1 };
+        group.rows.push(row);
+        group.rowsByCode.set(key, row);
+    });
+
+    return groups.map(({ rowsByCode, ...group }) => group);
+}
@@ -0,0 +1,118 @@
+// Turning still images into canvases the decoder backends can read. Images
+// come from the file picker, drag-and-drop or the clipboard; PDFs are
+// rasterised page by page with a pinned pdf.js, loaded only when a PDF is
+// opened. Every page becomes { label, canvas } and decodeImagePages() returns
+// one { page, text, format, points } per code found, with points in that
+// page's canvas pixels.
+
+const IMAGE_INPUT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const PDFJS_LIBRARY_URL = 'vendor/pdfjs-dist-3.11.174.min.js';
+const PDFJS_WORKER_URL = 'vendor/pdfjs-dist-3.11.174.worker.min.js';
+
+// Large enough for a small code on an A4 scan, small enough to decode quickly
+const MAX_IMAGE_EDGE = 2400;
+const PDF_RENDER_SCALE = 2;
+const MAX_PDF_PAGES = 20;
+
+function isSupportedImageFile(file) {
+    return Boolean(file) && (IMAGE_INPUT_TYPES.includes(file.type) || /\.(jpe?g|png|webp|pdf)$/i.test(file.name || ''));
+}
+
+function isPdfFile(file) {
+    return file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+}
+
+function loadPdfLibrary() {
+    if (typeof pdfjsLib !== 'undefined') return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+        const script = document.createElement('script');
+        script.src = PDFJS_LIBRARY_URL;
+        script.onload = () => {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+            resolve(true);
+        };
+        script.onerror = () => {
+            console.warn('Failed to load pdf.js');
+            resolve(false);
+        };
+        document.head.appendChild(script);
+    });
+}
+
+async function loadImagePage(file) {
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (error) {
+        throw new Error(`${file.name || 'The image'} could not be read as an image`);
+    }
+
+    const scale = Math.min(1, MAX_IMAGE_EDGE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return [{ label: file.name || 'Pasted image', canvas }];
+}
+
+async function loadPdfPages(file) {
+    if (!await loadPdfLibrary()) {
+        throw new Error('PDF support could not be loaded');
+    }
+
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    const pages = [];
+
+    try {
+        const count = Math.min(pdf.numPages, MAX_PDF_PAGES);
+        for (let number = 1; number <= count; number++) {
+            const page = await pdf.getPage(number);
+            const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(viewport.width);
+            canvas.height = Math.round(viewport.height);
+
+            const ctx = canvas.getContext('2d');
+            // Transparent pages would decode as black
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: ctx, viewport }).promise;
+
+            pages.push({ label: `${file.name} - page ${number}`, canvas });
+        }
+        if (pdf.numPages > MAX_PDF_PAGES) {
+            console.warn(`Only the first ${MAX_PDF_PAGES} of ${pdf.numPages} PDF pages were read`);
+        }
+    } finally {
+        pdf.destroy();
+    }
+
+    return pages;
+}
+
+function loadImageFilePages(file) {
+    return isPdfFile(file) ? loadPdfPages(file) : loadImagePage(file);
+}
+
+// `decoder` is a configured backend from decoders.js, ideally with { multiple: true }
+async function decodeImagePages(decoder, pages) {
+    const scratch = document.createElement('canvas');
+    const results = [];
+
+    for (const [index, page] of pages.entries()) {
+        const region = { x: 0, y: 0, width: page.canvas.width, height: page.canvas.height };
+        const found = await decoder.decode(page.canvas, scratch, region);
+
+        found.forEach(result => {
+            // The same code twice on one page is one label, not two
+            if (results.some(existing => existing.page === index && existing.text === result.text && existing.format === result.format)) return;
+            results.push({ page: index, ...result });
+        });
+    }
+
+    return results;
+}
@@ -0,0 +1,133 @@
+// Input from USB/Bluetooth scanners that act as keyboards ("keyboard wedge").
+// A scanner types a whole code within a few milliseconds per key and ends it
+// with Enter or Tab; a person types far slower. KeyboardWedge watches keydown
+// events, drops any burst with a gap longer than `maxKeyInterval` between
+// keys, and reports what is left once a terminator (or a pause) ends it.
+
+// AIM symbology identifiers (]Cm, ]Em, ...) some scanners prepend; the
+// letter names the symbology, the modifier digit its options
+const AIM_SYMBOLOGIES = {
+    A: 'Code-39',
+    C: 'Code-128',
+    E: 'EAN-13',
+    F: 'Codabar',
+    G: 'Code-93',
+    I: 'ITF',
+    L: 'PDF417',
+    Q: 'QR Code',
+    d: 'Data Matrix',
+    z: 'Aztec'
+};
+
+const GTIN_FORMATS_BY_LENGTH = { 8: 'EAN-8', 12: 'UPC-A', 13: 'EAN-13', 14: 'ITF' };
+
+// Flush a burst with no terminator after this long without a key
+const WEDGE_IDLE_FLUSH = 80;
+
+// Splits "]E0501234567890" into { code, format, symbologyId }; format is null
+// without a recognised identifier
+function parseAIMIdentifier(text) {
+    const match = /^\](.)(\w)/.exec(text);
+    const format = match ? AIM_SYMBOLOGIES[match[1]] : null;
+    if (!format) {
+        return { code: text, format: null, symbologyId: null };
+    }
+
+    const symbologyId = match[0];
+    const code = text.slice(symbologyId.length);
+
+    // EAN/UPC share ]E: ]E4 is EAN-8, otherwise the length tells them apart
+    if (match[1] === 'E') {
+        if (match[2] === '4') return { code, format: 'EAN-8', symbologyId };
+        if (code.length === 8) return { code, format: 'UPC-E', symbologyId };
+        if (code.length === 12) return { code, format: 'UPC-A', symbologyId };
+    }
+
+    return { code, format, symbologyId };
+}
+
+// Best guess without an identifier: a valid GTIN is almost certainly retail
+function guessWedgeFormat(code) {
+    if (/^\d+$/.test(code) && GTIN_FORMATS_BY_LENGTH[code.length] && isValidGTIN(code)) {
+        return GTIN_FORMATS_BY_LENGTH[code.length];
+    }
+    return 'Unknown';
+}
+
+function isEditableTarget(target) {
+    return Boolean(target && target.closest && target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+}
+
+class KeyboardWedge {
+    // `getOptions()` returns { enabled, maxKeyInterval, minLength, prefix, suffix }
+    // and is read on every key, so settings changes apply immediately
+    constructor(getOptions, onScan) {
+        this.getOptions = getOptions;
+        this.onScan = onScan;
+        this.buffer = '';
+        this.lastKeyAt = 0;
+        this.idleTimer = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    attach(target = document) {
+        target.addEventListener('keydown', this.handleKeydown, true);
+    }
+
+    reset() {
+        this.buffer = '';
+        clearTimeout(this.idleTimer);
+    }
+
+    handleKeydown(e) {
+        const options = this.getOptions();
+        if (!options.enabled || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // Typing into a field is left alone, scanner or not
+        if (isEditableTarget(e.target)) {
+            this.reset();
+            return;
+        }
+
+        const now = performance.now();
+        if (now - this.lastKeyAt > options.maxKeyInterval) {
+            this.buffer = '';
+        }
+        this.lastKeyAt = now;
+        clearTimeout(this.idleTimer);
+
+        if (e.key === 'Enter' || e.key === 'Tab') {
+            // Keep a scanner's Enter from clicking whatever button has focus
+            if (this.emit(options)) e.preventDefault();
+            return;
+        }
+
+        if (e.key.length !== 1) return;
+        this.buffer += e.key;
+
+        // Scanners set up without a terminator end with a pause instead
+        this.idleTimer = setTimeout(() => this.emit(options), Math.max(WEDGE_IDLE_FLUSH, options.maxKeyInterval * 2));
+    }
+
+    emit(options) {
+        let text = this.buffer;
+        this.reset();
+
+        if (options.prefix) {
+            if (!text.startsWith(options.prefix)) return false;
+            text = text.slice(options.prefix.length);
+        }
+        if (options.suffix && text.endsWith(options.suffix)) {
+            text = text.slice(0, -options.suffix.length);
+        }
+        if (text.length < options.minLength) return false;
+
+        const aim = parseAIMIdentifier(text);
+        this.onScan({
+            code: aim.code,
+            format: aim.format || guessWedgeFormat(aim.code),
+            symbologyId: aim.symbologyId
+        });
+        return true;
+    }
+}
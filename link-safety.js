@@ -0,0 +1,183 @@
+// Safe-link inspection for URLs decoded from QR codes. inspectUrl() never
+// navigates; it returns { href, scheme, host, displayHost, warnings, verdict }
+// where verdict is 'safe', 'warning', 'danger' or 'blocked' and each warning
+// is { level: 'warning' | 'danger', message }.
+
+const URL_SHORTENERS = [
+    'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly',
+    'rebrand.ly', 'cutt.ly', 'shorturl.at', 'rb.gy', 'tiny.cc', 'bl.ink',
+    's.id', 't.ly', 'qrco.de', 'lnkd.in', 'v.gd', 'trib.al', 'soo.gd'
+];
+
+const BLOCKED_SCHEMES = ['javascript:', 'data:', 'vbscript:', 'file:', 'blob:'];
+
+// RFC 3492 decoder - only needed to show xn-- labels the way a victim would see them
+function decodePunycodeLabel(input) {
+    const base = 36;
+    const tMin = 1;
+    const tMax = 26;
+    const adapt = (delta, numPoints, firstTime) => {
+        delta = firstTime ? Math.floor(delta / 700) : delta >> 1;
+        delta += Math.floor(delta / numPoints);
+        let k = 0;
+        while (delta > ((base - tMin) * tMax) >> 1) {
+            delta = Math.floor(delta / (base - tMin));
+            k += base;
+        }
+        return k + Math.floor(((base - tMin + 1) * delta) / (delta + 38));
+    };
+
+    const output = [];
+    const basicEnd = Math.max(0, input.lastIndexOf('-'));
+    for (let j = 0; j < basicEnd; j++) {
+        output.push(input.charCodeAt(j));
+    }
+
+    let n = 128;
+    let i = 0;
+    let bias = 72;
+
+    for (let index = basicEnd > 0 ? basicEnd + 1 : 0; index < input.length;) {
+        const oldI = i;
+        let w = 1;
+
+        for (let k = base; ; k += base) {
+            if (index >= input.length) throw new Error('Invalid punycode');
+            const code = input.charCodeAt(index++);
+            const digit = code - 48 < 10 ? code - 22 : code - 65 < 26 ? code - 65 : code - 97 < 26 ? code - 97 : base;
+            if (digit >= base) throw new Error('Invalid punycode');
+
+            i += digit * w;
+            const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+            if (digit < t) break;
+            w *= base - t;
+        }
+
+        bias = adapt(i - oldI, output.length + 1, oldI === 0);
+        n += Math.floor(i / (output.length + 1));
+        i %= output.length + 1;
+        output.splice(i++, 0, n);
+    }
+
+    return String.fromCodePoint(...output);
+}
+
+function toUnicodeHost(host) {
+    return host.split('.').map(label => {
+        if (!label.startsWith('xn--')) return label;
+        try {
+            return decodePunycodeLabel(label.slice(4));
+        } catch (error) {
+            return label;
+        }
+    }).join('.');
+}
+
+function getLabelScripts(label) {
+    const scripts = [];
+    if (/\p{Script=Latin}/u.test(label)) scripts.push('Latin');
+    if (/\p{Script=Cyrillic}/u.test(label)) scripts.push('Cyrillic');
+    if (/\p{Script=Greek}/u.test(label)) scripts.push('Greek');
+    if (/\p{Script=Armenian}/u.test(label)) scripts.push('Armenian');
+    return scripts;
+}
+
+function hostMatches(host, pattern) {
+    const rule = pattern.trim().toLowerCase().replace(/^\*\./, '');
+    return rule !== '' && (host === rule || host.endsWith(`.${rule}`));
+}
+
+function isIpHost(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith('[') || /^0x[0-9a-f]+$/i.test(host);
+}
+
+// For links that come from stored or imported data rather than a scan
+function isWebUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(value.trim()).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function inspectUrl(rawUrl, options = {}) {
+    const { allowList = [], denyList = [], displayText = '' } = options;
+    const text = (rawUrl || '').trim();
+    const warnings = [];
+    const danger = message => warnings.push({ level: 'danger', message });
+    const warn = message => warnings.push({ level: 'warning', message });
+
+    const scheme = (/^([a-z][a-z0-9+.-]*:)/i.exec(text)?.[1] || '').toLowerCase();
+    if (BLOCKED_SCHEMES.includes(scheme)) {
+        danger(`${scheme} links can run code or hide content and are never opened`);
+        return { href: text, scheme, host: '', displayHost: '', warnings, verdict: 'blocked' };
+    }
+
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        danger('This is not a valid web address');
+        return { href: text, scheme, host: '', displayHost: '', warnings, verdict: 'blocked' };
+    }
+
+    // The parser strips tabs and newlines ("java\tscript:"), so only its
+    // protocol says what would really open
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        danger(BLOCKED_SCHEMES.includes(url.protocol)
+            ? `${url.protocol} links can run code or hide content and are never opened`
+            : `${url.protocol} links are not web pages and are never opened from here`);
+        return { href: url.href, scheme: url.protocol, host: '', displayHost: '', warnings, verdict: 'blocked' };
+    }
+
+    const host = url.hostname.toLowerCase();
+    const displayHost = toUnicodeHost(host);
+    const result = { href: url.href, scheme: url.protocol, host, displayHost, warnings };
+
+    if (url.protocol === 'http:') {
+        warn('Not encrypted (http, not https)');
+    }
+
+    if (denyList.some(pattern => hostMatches(host, pattern))) {
+        danger(`${displayHost} is on your block list`);
+        return { ...result, verdict: 'blocked' };
+    }
+
+    if (url.username || url.password) {
+        danger(`The part before "@" is not the site - this link goes to ${displayHost}`);
+    }
+
+    if (isIpHost(host)) {
+        warn('Points to a raw IP address instead of a domain name');
+    }
+
+    if (host !== displayHost) {
+        warn(`Internationalised domain - shown as ${displayHost}, really ${host}`);
+        displayHost.split('.').forEach(label => {
+            const scripts = getLabelScripts(label);
+            if (scripts.length > 1) {
+                danger(`"${label}" mixes ${scripts.join(' and ')} letters - a common look-alike trick`);
+            }
+        });
+    }
+
+    if (URL_SHORTENERS.some(shortener => hostMatches(host, shortener))) {
+        warn('URL shortener - the final destination is hidden');
+    }
+
+    // Link text that names a different site than the real target
+    const shownHost = /^(?:[a-z]+:\/\/)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?:[/:?#]|$)/i.exec(displayText.trim())?.[1]?.toLowerCase();
+    if (shownHost && !hostMatches(host, shownHost) && !hostMatches(shownHost, host)) {
+        danger(`Link text says ${shownHost} but it opens ${displayHost}`);
+    }
+
+    if (allowList.some(pattern => hostMatches(host, pattern)) && !warnings.some(w => w.level === 'danger')) {
+        return { ...result, verdict: 'safe', allowListed: true };
+    }
+
+    if (warnings.some(w => w.level === 'danger')) {
+        return { ...result, verdict: 'danger' };
+    }
+    return { ...result, verdict: warnings.length > 0 ? 'warning' : 'safe' };
+}
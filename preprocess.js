@@ -0,0 +1,216 @@
+// Image clean-up passes for labels the raw camera frame does not decode:
+// faded thermal print, glare on shrink-wrap, white-on-black codes and codes
+// held at an angle. BarcodeScanner.decodeFrame() interleaves raw frames with
+// one pass per frame, so each pass only costs a share of the frame rate.
+// applyPreprocessPass() draws the scan region into a canvas with the pass
+// applied and returns { canvas, mapPoint } where mapPoint() takes a point in
+// that canvas back to region coordinates.
+
+// `setting` is the Settings key that enables the pass; the rotations share one
+const PREPROCESS_PASSES = [
+    { id: 'contrast', setting: 'contrast', label: 'Contrast stretch', filter: (gray) => stretchContrast(gray) },
+    { id: 'clahe', setting: 'clahe', label: 'CLAHE', filter: (gray, width, height) => equalizeAdaptive(gray, width, height) },
+    { id: 'threshold', setting: 'threshold', label: 'Adaptive threshold', filter: (gray, width, height) => adaptiveThreshold(gray, width, height) },
+    { id: 'invert', setting: 'invert', label: 'Inverted', filter: (gray) => invertGray(stretchContrast(gray)) },
+    { id: 'rotate45', setting: 'rotation', label: 'Rotated 45°', angle: 45 },
+    { id: 'rotate90', setting: 'rotation', label: 'Rotated 90°', angle: 90 },
+    { id: 'rotate-45', setting: 'rotation', label: 'Rotated -45°', angle: -45 }
+];
+
+const PREPROCESS_SETTINGS = ['contrast', 'clahe', 'threshold', 'invert', 'rotation'];
+
+function getPreprocessPasses(enabled) {
+    return PREPROCESS_PASSES.filter(pass => enabled[pass.setting] !== false);
+}
+
+// Same integer luma weights as decoder-worker.js
+function toGrayscale(imageData) {
+    const { data, width, height } = imageData;
+    const gray = new Uint8ClampedArray(width * height);
+
+    for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+        gray[j] = (data[i] * 306 + data[i + 1] * 601 + data[i + 2] * 117) >> 10;
+    }
+
+    return gray;
+}
+
+function writeGrayscale(gray, imageData) {
+    const { data } = imageData;
+    for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+        data[i] = data[i + 1] = data[i + 2] = gray[j];
+        data[i + 3] = 255;
+    }
+}
+
+// Spread the 1st-99th percentile over the full range; ignores specular highlights
+function stretchContrast(gray) {
+    const histogram = new Uint32Array(256);
+    gray.forEach(value => histogram[value]++);
+
+    const cut = gray.length * 0.01;
+    let low = 0;
+    let high = 255;
+    for (let sum = 0; low < 255 && sum + histogram[low] <= cut; low++) sum += histogram[low];
+    for (let sum = 0; high > 0 && sum + histogram[high] <= cut; high--) sum += histogram[high];
+    if (high - low < 2) return gray;
+
+    const scale = 255 / (high - low);
+    return gray.map(value => (value - low) * scale);
+}
+
+// Contrast-limited adaptive histogram equalisation: equalise each tile of a
+// grid separately, clipping the histogram so flat areas do not turn to noise,
+// then blend the four nearest tile mappings per pixel to hide the seams
+function equalizeAdaptive(gray, width, height, grid = 8, clipLimit = 3) {
+    const tilesX = Math.min(grid, width);
+    const tilesY = Math.min(grid, height);
+    const tileWidth = width / tilesX;
+    const tileHeight = height / tilesY;
+    const maps = [];
+
+    for (let ty = 0; ty < tilesY; ty++) {
+        for (let tx = 0; tx < tilesX; tx++) {
+            const x0 = Math.floor(tx * tileWidth);
+            const x1 = Math.floor((tx + 1) * tileWidth);
+            const y0 = Math.floor(ty * tileHeight);
+            const y1 = Math.floor((ty + 1) * tileHeight);
+            const count = (x1 - x0) * (y1 - y0);
+
+            const histogram = new Float64Array(256);
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    histogram[gray[y * width + x]]++;
+                }
+            }
+
+            // Redistribute what sticks out above the clip limit evenly
+            const clip = Math.max(1, clipLimit * count / 256);
+            let excess = 0;
+            for (let i = 0; i < 256; i++) {
+                if (histogram[i] > clip) {
+                    excess += histogram[i] - clip;
+                    histogram[i] = clip;
+                }
+            }
+
+            const map = new Uint8ClampedArray(256);
+            let cumulative = 0;
+            for (let i = 0; i < 256; i++) {
+                cumulative += histogram[i] + excess / 256;
+                map[i] = cumulative * 255 / count;
+            }
+            maps.push(map);
+        }
+    }
+
+    // Tile index and blend weight per column / row, shared by every pixel
+    const neighbours = (size, tiles, tileSize) => Array.from({ length: size }, (unused, position) => {
+        const centre = (position + 0.5) / tileSize - 0.5;
+        const first = Math.min(tiles - 1, Math.max(0, Math.floor(centre)));
+        return {
+            first,
+            second: Math.min(tiles - 1, first + 1),
+            weight: Math.min(1, Math.max(0, centre - first))
+        };
+    });
+    const columns = neighbours(width, tilesX, tileWidth);
+    const rows = neighbours(height, tilesY, tileHeight);
+    const output = new Uint8ClampedArray(gray.length);
+
+    for (let y = 0; y < height; y++) {
+        const row = rows[y];
+        for (let x = 0; x < width; x++) {
+            const column = columns[x];
+            const value = gray[y * width + x];
+            const top = maps[row.first * tilesX + column.first][value] * (1 - column.weight) +
+                maps[row.first * tilesX + column.second][value] * column.weight;
+            const bottom = maps[row.second * tilesX + column.first][value] * (1 - column.weight) +
+                maps[row.second * tilesX + column.second][value] * column.weight;
+            output[y * width + x] = top * (1 - row.weight) + bottom * row.weight;
+        }
+    }
+
+    return output;
+}
+
+// Black where a pixel is darker than its neighbourhood mean, so uneven
+// lighting across the label does not wash out half the bars
+function adaptiveThreshold(gray, width, height, offset = 7) {
+    const radius = Math.max(4, Math.round(Math.min(width, height) / 16));
+    const stride = width + 1;
+    const integral = new Uint32Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += gray[y * width + x];
+            integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+        }
+    }
+
+    const output = new Uint8ClampedArray(gray.length);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.max(0, y - radius);
+        const y1 = Math.min(height, y + radius + 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.max(0, x - radius);
+            const x1 = Math.min(width, x + radius + 1);
+            const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+            const mean = sum / ((x1 - x0) * (y1 - y0));
+            output[y * width + x] = gray[y * width + x] < mean - offset ? 0 : 255;
+        }
+    }
+
+    return output;
+}
+
+// For white-on-black codes, which ZXing only reads dark-on-light
+function invertGray(gray) {
+    return gray.map(value => 255 - value);
+}
+
+function drawRotated(source, area, angle, canvas) {
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    canvas.width = Math.round(area.width * Math.abs(cos) + area.height * Math.abs(sin));
+    canvas.height = Math.round(area.width * Math.abs(sin) + area.height * Math.abs(cos));
+
+    const ctx = canvas.getContext('2d');
+    // White corners read as quiet zone rather than as a dark border
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(radians);
+    ctx.drawImage(source, area.x, area.y, area.width, area.height, -area.width / 2, -area.height / 2, area.width, area.height);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+    return {
+        canvas,
+        mapPoint: (point) => {
+            const dx = point.x - canvas.width / 2;
+            const dy = point.y - canvas.height / 2;
+            return {
+                x: dx * cos + dy * sin + area.width / 2,
+                y: -dx * sin + dy * cos + area.height / 2
+            };
+        }
+    };
+}
+
+// `source` is anything drawImage() accepts; `area` is the region in its pixels
+function applyPreprocessPass(source, area, pass, canvas) {
+    if (pass.angle) return drawRotated(source, area, pass.angle, canvas);
+
+    canvas.width = area.width;
+    canvas.height = area.height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+
+    const imageData = ctx.getImageData(0, 0, area.width, area.height);
+    writeGrayscale(pass.filter(toGrayscale(imageData), area.width, area.height), imageData);
+    ctx.putImageData(imageData, 0, 0);
+
+    return { canvas, mapPoint: (point) => point };
+}
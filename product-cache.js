@@ -0,0 +1,60 @@
+// Offline support for product lookups. ProductCache keeps merged provider
+// results per lookup code ({ code, product, cachedAt }); LookupQueue holds
+// lookups that failed without a connection until they can be retried. Both
+// degrade to no-ops when IndexedDB is unavailable.
+
+class ProductCache {
+    async get(code) {
+        try {
+            return (await withStore('products', 'readonly', store => store.get(code))) || null;
+        } catch (error) {
+            console.warn('Product cache read failed:', error);
+            return null;
+        }
+    }
+
+    async put(code, product) {
+        try {
+            await withStore('products', 'readwrite', store => store.put({ code, product, cachedAt: Date.now() }));
+        } catch (error) {
+            console.warn('Product cache write failed:', error);
+        }
+    }
+
+    async clear() {
+        try {
+            await withStore('products', 'readwrite', store => store.clear());
+        } catch (error) {
+            console.warn('Product cache clear failed:', error);
+        }
+    }
+}
+
+class LookupQueue {
+    async add(lookupCode, code, format) {
+        try {
+            await withStore('lookupQueue', 'readwrite', store => store.put({ lookupCode, code, format, queuedAt: Date.now() }));
+            return true;
+        } catch (error) {
+            console.warn('Could not queue lookup:', error);
+            return false;
+        }
+    }
+
+    async list() {
+        try {
+            return (await withStore('lookupQueue', 'readonly', store => store.getAll())) || [];
+        } catch (error) {
+            console.warn('Could not read lookup queue:', error);
+            return [];
+        }
+    }
+
+    async remove(lookupCode) {
+        try {
+            await withStore('lookupQueue', 'readwrite', store => store.delete(lookupCode));
+        } catch (error) {
+            console.warn('Could not update lookup queue:', error);
+        }
+    }
+}
@@ -0,0 +1,247 @@
+// Product lookup providers. Each provider declares the code types it handles
+// ('gtin', 'isbn', 'other'), may declare isConfigured(options), and resolves
+// lookup() with a partial product or null. ProductProviderRegistry runs them in the configured priority order,
+// each under its own timeout, and merges the answers into one product model
+// whose `fieldSources` records which provider supplied each field.
+
+const PRODUCT_FIELDS = ['name', 'brand', 'description', 'image', 'categories', 'nutritionGrades', 'labels', 'sourceUrl'];
+
+// Fields that, once filled, make asking further providers pointless
+const CORE_PRODUCT_FIELDS = ['name', 'brand', 'description', 'image'];
+
+function truncateProductText(text, maxLength = 200) {
+    if (!text) return '';
+    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+}
+
+function isbn10To13(isbn10) {
+    const body = `978${isbn10.slice(0, 9)}`;
+    return body + calculateGTINCheckDigit(body);
+}
+
+function isValidISBN10(value) {
+    if (!/^\d{9}[\dX]$/i.test(value)) return false;
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+        const digit = value[i].toUpperCase() === 'X' ? 10 : parseInt(value[i], 10);
+        sum += digit * (10 - i);
+    }
+    return sum % 11 === 0;
+}
+
+// Build the { code, gtin, isbn, types } description providers match against
+function describeCode(code, gtin) {
+    const compact = code.replace(/[-\s]/g, '');
+    const info = { code, gtin: null, isbn: null, types: ['other'] };
+
+    if (gtin && isValidGTIN(gtin)) {
+        info.gtin = gtin;
+        info.types.push('gtin');
+        if (/^97[89]\d{10}$/.test(gtin)) {
+            info.isbn = gtin;
+        }
+    } else if (isValidISBN10(compact)) {
+        info.isbn = isbn10To13(compact.toUpperCase());
+    }
+
+    if (info.isbn) info.types.push('isbn');
+    return info;
+}
+
+function createOpenFactsProvider(id, name, host) {
+    return {
+        id,
+        name,
+        codeTypes: ['gtin'],
+        async lookup(info, { signal }) {
+            const url = `https://${host}/api/v0/product/${info.gtin}.json`;
+            console.log(`Searching ${name}:`, url);
+
+            const response = await fetch(url, { signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            if (data.status !== 1 || !data.product) return null;
+
+            const product = data.product;
+            return {
+                name: product.product_name || product.product_name_en || '',
+                brand: product.brands || '',
+                description: truncateProductText(product.ingredients_text_en || product.ingredients_text || ''),
+                image: product.image_url || product.image_front_url || null,
+                sourceUrl: `https://${host}/product/${info.gtin}`,
+                categories: product.categories || '',
+                nutritionGrades: product.nutrition_grades || null,
+                labels: product.labels || ''
+            };
+        }
+    };
+}
+
+const openLibraryProvider = {
+    id: 'openLibrary',
+    name: 'Open Library',
+    codeTypes: ['isbn'],
+    async lookup(info, { signal }) {
+        const key = `ISBN:${info.isbn}`;
+        const url = `https://openlibrary.org/api/books?bibkeys=${key}&format=json&jscmd=data`;
+        console.log('Searching Open Library:', url);
+
+        const response = await fetch(url, { signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const book = (await response.json())[key];
+        if (!book) return null;
+
+        const authors = (book.authors || []).map(author => author.name).join(', ');
+        return {
+            name: book.subtitle ? `${book.title}: ${book.subtitle}` : book.title,
+            brand: authors || (book.publishers || []).map(publisher => publisher.name).join(', '),
+            description: truncateProductText([
+                book.publishers?.length ? `Published by ${book.publishers.map(publisher => publisher.name).join(', ')}` : '',
+                book.publish_date || '',
+                book.number_of_pages ? `${book.number_of_pages} pages` : ''
+            ].filter(Boolean).join(' · ')),
+            image: book.cover?.medium || book.cover?.large || null,
+            sourceUrl: book.url || `https://openlibrary.org/isbn/${info.isbn}`,
+            categories: (book.subjects || []).slice(0, 5).map(subject => subject.name).join(', ')
+        };
+    }
+};
+
+const customEndpointProvider = {
+    id: 'custom',
+    name: 'Custom endpoint',
+    codeTypes: ['gtin', 'isbn', 'other'],
+    isConfigured: ({ custom }) => Boolean(custom && custom.url),
+    async lookup(info, { signal, custom }) {
+        const code = info.gtin || info.code;
+        const url = custom.url.replace(/\{code\}/g, encodeURIComponent(code));
+        console.log('Searching custom endpoint:', url);
+
+        const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        // Accept the common shapes: a bare product or one wrapped in { product }
+        const data = await response.json();
+        const product = data.product || data;
+        return {
+            name: product.name || product.title || product.product_name || '',
+            brand: product.brand || product.brands || product.manufacturer || '',
+            description: truncateProductText(product.description || ''),
+            image: product.image || product.image_url || null,
+            sourceUrl: product.url || product.sourceUrl || '',
+            categories: [].concat(product.categories || product.category || []).join(', ')
+        };
+    }
+};
+
+// Thrown when every provider that was asked failed, as opposed to all of them
+// answering "not found". `offline` is true when none could be reached at all
+// (network error or timeout) and false when at least one answered with an error.
+class ProductLookupError extends Error {
+    constructor(message, { offline = false } = {}) {
+        super(message);
+        this.name = 'ProductLookupError';
+        this.offline = offline;
+    }
+}
+
+class ProductProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(provider) {
+        this.providers.set(provider.id, provider);
+        return this;
+    }
+
+    list() {
+        return [...this.providers.values()];
+    }
+
+    getOrdered(order = []) {
+        // Providers missing from a saved order keep their registration order at the end
+        const ids = [...order.filter(id => this.providers.has(id)), ...this.providers.keys()];
+        return [...new Set(ids)].map(id => this.providers.get(id));
+    }
+
+    async runWithTimeout(provider, info, options, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            return { product: await provider.lookup(info, { ...options, signal: controller.signal }), failed: false };
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? `timed out after ${timeout}ms` : error.message;
+            console.warn(`${provider.name} lookup failed: ${reason}`);
+            // fetch() rejects with a TypeError only when no response came back at all
+            const unreachable = error.name === 'AbortError' || error.name === 'TypeError';
+            return { product: null, failed: true, unreachable, reason: `${provider.name}: ${reason}` };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async lookup(info, options = {}) {
+        const { order = [], enabled = {}, timeouts = {}, defaultTimeout = 5000 } = options;
+        const merged = { fieldSources: {}, sources: [] };
+        let attempted = 0;
+        let failed = 0;
+        let unreachable = 0;
+        const reasons = [];
+
+        for (const provider of this.getOrdered(order)) {
+            if (enabled[provider.id] === false) continue;
+            if (!provider.codeTypes.some(type => info.types.includes(type))) continue;
+            if (provider.isConfigured && !provider.isConfigured(options)) continue;
+
+            attempted++;
+            const outcome = await this.runWithTimeout(provider, info, options, timeouts[provider.id] || defaultTimeout);
+            const result = outcome.product;
+            if (outcome.failed) {
+                failed++;
+                if (outcome.unreachable) unreachable++;
+                reasons.push(outcome.reason);
+            }
+            if (!result) continue;
+
+            let contributed = false;
+            PRODUCT_FIELDS.forEach(field => {
+                if (!merged[field] && result[field]) {
+                    merged[field] = result[field];
+                    merged.fieldSources[field] = provider.name;
+                    contributed = true;
+                }
+            });
+            if (contributed) merged.sources.push(provider.name);
+
+            if (CORE_PRODUCT_FIELDS.every(field => merged[field])) break;
+        }
+
+        if (merged.sources.length === 0) {
+            if (attempted > 0 && failed === attempted) {
+                if (unreachable === attempted) {
+                    throw new ProductLookupError('No product provider could be reached', { offline: true });
+                }
+                throw new ProductLookupError(`Product lookup failed (${reasons.join('; ')})`);
+            }
+            return null;
+        }
+
+        merged.name = merged.name || 'Unknown Product';
+        merged.source = merged.sources.join(', ');
+        return merged;
+    }
+}
+
+function createDefaultProductProviders() {
+    return new ProductProviderRegistry()
+        .register(createOpenFactsProvider('openFoodFacts', 'Open Food Facts', 'world.openfoodfacts.org'))
+        .register(createOpenFactsProvider('openBeautyFacts', 'Open Beauty Facts', 'world.openbeautyfacts.org'))
+        .register(createOpenFactsProvider('openProductsFacts', 'Open Products Facts', 'world.openproductsfacts.org'))
+        .register(openLibraryProvider)
+        .register(customEndpointProvider);
+}
@@ -0,0 +1,270 @@
+// Structured payload parsing for 2D codes. classifyPayload() returns a typed
+// result - { type: 'product' | 'url' | 'wifi' | 'contact' | 'event' | 'geo' |
+// 'sms' | 'email' | 'phone' | 'text', ... } - so processScan() can skip the
+// product lookup for anything that is not a product code.
+
+const TWO_D_FORMATS = ['QR Code', 'Data Matrix', 'Aztec', 'PDF417'];
+
+// Split "K:v;K:v;;" style payloads (Wi-Fi, MeCard, MATMSG) honouring \ escapes
+function parseKeyValuePayload(body) {
+    const fields = {};
+    let key = '';
+    let value = '';
+    let readingKey = true;
+
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+
+        if (char === '\\' && i + 1 < body.length) {
+            i++;
+            if (readingKey) {
+                key += body[i];
+            } else {
+                value += body[i];
+            }
+        } else if (readingKey && char === ':') {
+            readingKey = false;
+        } else if (!readingKey && char === ';') {
+            if (key) {
+                const name = key.toUpperCase();
+                fields[name] = fields[name] ? [].concat(fields[name], value) : value;
+            }
+            key = '';
+            value = '';
+            readingKey = true;
+        } else if (readingKey) {
+            key += char;
+        } else {
+            value += char;
+        }
+    }
+
+    if (key && !readingKey) {
+        fields[key.toUpperCase()] = value;
+    }
+
+    return fields;
+}
+
+function parseWifi(text) {
+    const fields = parseKeyValuePayload(text.slice(5));
+    return {
+        type: 'wifi',
+        title: fields.S ? `Wi-Fi: ${fields.S}` : 'Wi-Fi network',
+        ssid: fields.S || '',
+        password: fields.P || '',
+        security: fields.T || 'nopass',
+        hidden: fields.H === 'true'
+    };
+}
+
+// Unfold RFC 5545 / vCard continuation lines and split into { name, params, value }
+function parseContentLines(text) {
+    return text
+        .replace(/\r?\n[ \t]/g, '')
+        .split(/\r?\n/)
+        .map(line => {
+            const colon = line.indexOf(':');
+            if (colon === -1) return null;
+            const [name, ...params] = line.slice(0, colon).split(';');
+            return {
+                name: name.toUpperCase(),
+                params: params.join(';').toUpperCase(),
+                value: line.slice(colon + 1).replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1')
+            };
+        })
+        .filter(Boolean);
+}
+
+function parseVCard(text) {
+    const lines = parseContentLines(text);
+    const get = name => lines.find(line => line.name === name)?.value || '';
+    const all = name => lines.filter(line => line.name === name).map(line => line.value);
+    const structuredName = get('N').split(';').filter(Boolean).reverse().join(' ');
+
+    return {
+        type: 'contact',
+        title: get('FN') || structuredName || 'Contact',
+        name: get('FN') || structuredName,
+        organization: get('ORG').replace(/;/g, ' ').trim(),
+        jobTitle: get('TITLE'),
+        phones: all('TEL'),
+        emails: all('EMAIL'),
+        urls: all('URL'),
+        address: get('ADR').split(';').filter(Boolean).join(', '),
+        vcard: text.trim()
+    };
+}
+
+function escapeVCardValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+function parseMeCard(text) {
+    const fields = parseKeyValuePayload(text.slice(7));
+    const list = value => (value ? [].concat(value) : []);
+    const name = (fields.N || '').split(',').reverse().join(' ').trim();
+
+    const contact = {
+        type: 'contact',
+        title: name || 'Contact',
+        name,
+        organization: fields.ORG || '',
+        jobTitle: '',
+        phones: list(fields.TEL),
+        emails: list(fields.EMAIL),
+        urls: list(fields.URL),
+        address: fields.ADR || ''
+    };
+
+    // MeCard has no file format of its own - build a vCard for the download
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVCardValue(contact.name)}`];
+    if (fields.N) lines.push(`N:${fields.N.split(',').map(escapeVCardValue).join(';')}`);
+    if (contact.organization) lines.push(`ORG:${escapeVCardValue(contact.organization)}`);
+    contact.phones.forEach(phone => lines.push(`TEL:${escapeVCardValue(phone)}`));
+    contact.emails.forEach(email => lines.push(`EMAIL:${escapeVCardValue(email)}`));
+    contact.urls.forEach(url => lines.push(`URL:${escapeVCardValue(url)}`));
+    if (contact.address) lines.push(`ADR:;;${escapeVCardValue(contact.address)};;;;`);
+    if (fields.NOTE) lines.push(`NOTE:${escapeVCardValue(fields.NOTE)}`);
+    lines.push('END:VCARD');
+    contact.vcard = lines.join('\r\n');
+
+    return contact;
+}
+
+function parseICalDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+    const iso = `${year}-${month}-${day}T${hour}:${minute}:${second}${utc ? 'Z' : ''}`;
+    const date = new Date(iso);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseEvent(text) {
+    const lines = parseContentLines(text);
+    const get = name => lines.find(line => line.name === name)?.value || '';
+    const body = text.trim();
+
+    return {
+        type: 'event',
+        title: get('SUMMARY') || 'Calendar event',
+        summary: get('SUMMARY'),
+        start: parseICalDate(get('DTSTART')),
+        end: parseICalDate(get('DTEND')),
+        location: get('LOCATION'),
+        description: get('DESCRIPTION'),
+        ics: /BEGIN:VCALENDAR/i.test(body)
+            ? body
+            : ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Barcode Scanner//EN', body, 'END:VCALENDAR'].join('\r\n')
+    };
+}
+
+function parseGeo(text) {
+    const match = /^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(-?\d+(?:\.\d+)?))?(?:\?(.*))?$/i.exec(text);
+    if (!match) return null;
+
+    const [, latitude, longitude, , query] = match;
+    const label = query ? new URLSearchParams(query).get('q') : '';
+
+    return {
+        type: 'geo',
+        title: label || `${latitude}, ${longitude}`,
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        label: label || '',
+        mapUrl: `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=17/${latitude}/${longitude}`
+    };
+}
+
+// A stray '%' is left as typed rather than failing the whole payload
+function safeDecodeURIComponent(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+function parseSms(text) {
+    let number;
+    let body = '';
+
+    if (/^smsto:/i.test(text)) {
+        const [target, ...message] = text.slice(6).split(':');
+        number = target;
+        body = message.join(':');
+    } else {
+        const [target, query = ''] = text.slice(4).split('?');
+        number = safeDecodeURIComponent(target);
+        body = new URLSearchParams(query).get('body') || '';
+    }
+
+    return {
+        type: 'sms',
+        title: `SMS to ${number}`,
+        number,
+        body,
+        href: `sms:${number.replace(/[^\d+*#]/g, '')}${body ? `?body=${encodeURIComponent(body)}` : ''}`
+    };
+}
+
+function parseEmail(text) {
+    let to;
+    let subject = '';
+    let body = '';
+
+    if (/^matmsg:/i.test(text)) {
+        const fields = parseKeyValuePayload(text.slice(7));
+        to = fields.TO || '';
+        subject = fields.SUB || '';
+        body = fields.BODY || '';
+    } else {
+        const [target, query = ''] = text.slice(7).split('?');
+        const params = new URLSearchParams(query);
+        to = safeDecodeURIComponent(target);
+        subject = params.get('subject') || '';
+        body = params.get('body') || '';
+    }
+
+    const params = new URLSearchParams();
+    if (subject) params.set('subject', subject);
+    if (body) params.set('body', body);
+    const query = params.toString().replace(/\+/g, '%20');
+
+    return {
+        type: 'email',
+        title: `Email to ${to}`,
+        to,
+        subject,
+        body,
+        href: `mailto:${to}${query ? `?${query}` : ''}`
+    };
+}
+
+function classifyPayload(text, format) {
+    const value = (text || '').trim();
+
+    // 1D symbologies and GS1 data always describe a product
+    if (!TWO_D_FORMATS.includes(format) || /^\d+$/.test(value) || parseGS1(value, format)) {
+        return { type: 'product' };
+    }
+
+    if (/^WIFI:/i.test(value)) return parseWifi(value);
+    if (/^BEGIN:VCARD/i.test(value)) return parseVCard(value);
+    if (/^MECARD:/i.test(value)) return parseMeCard(value);
+    if (/BEGIN:VEVENT/i.test(value)) return parseEvent(value);
+    if (/^geo:/i.test(value)) return parseGeo(value) || { type: 'text', title: 'Text', text: value };
+    if (/^(sms|smsto):/i.test(value)) return parseSms(value);
+    if (/^(mailto|matmsg):/i.test(value)) return parseEmail(value);
+    if (/^tel:/i.test(value)) {
+        return { type: 'phone', title: `Call ${value.slice(4)}`, number: value.slice(4), href: value };
+    }
+    if (/^(https?:\/\/|www\.)\S+$/i.test(value)) {
+        const url = /^www\./i.test(value) ? `https://${value}` : value;
+        return { type: 'url', title: url, url };
+    }
+
+    return { type: 'text', title: 'Text', text: value };
+}
@@ -0,0 +1,118 @@
+// Audit metadata attached to scan entries as `entry.meta`:
+// { bin, quantity, condition, tags: [], note, photo, custom: { [fieldId]: value } }.
+// Custom field definitions are { id, label, type: 'text' | 'number' | 'select', options }
+// and are edited in Settings as one "Label: type[: option, option]" line each.
+
+const CONDITION_OPTIONS = ['New', 'Good', 'Used', 'Damaged', 'Expired', 'Missing'];
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'select'];
+
+function createEmptyMeta() {
+    return { bin: '', quantity: null, condition: '', tags: [], note: '', photo: null, custom: {} };
+}
+
+function toCustomFieldId(label) {
+    return label.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'field';
+}
+
+function parseCustomFieldDefinitions(text) {
+    const fields = [];
+
+    (text || '').split(/\r?\n/).forEach(line => {
+        const [label = '', type = 'text', options = ''] = line.split(':').map(part => part.trim());
+        if (!label) return;
+
+        let id = toCustomFieldId(label);
+        // Two labels that slug the same still need distinct ids
+        while (fields.some(field => field.id === id)) id += '_';
+
+        const fieldType = CUSTOM_FIELD_TYPES.includes(type.toLowerCase()) ? type.toLowerCase() : 'text';
+        fields.push({
+            id,
+            label,
+            type: fieldType,
+            options: fieldType === 'select' ? options.split(',').map(option => option.trim()).filter(Boolean) : []
+        });
+    });
+
+    return fields;
+}
+
+function formatCustomFieldDefinitions(fields) {
+    return fields.map(field => [field.label, field.type, ...(field.type === 'select' ? [field.options.join(', ')] : [])].join(': ')).join('\n');
+}
+
+function parseTags(text) {
+    return [...new Set((text || '').split(/[,#]/).map(tag => tag.trim()).filter(Boolean))];
+}
+
+// Rebuild meta from an imported file field by field, so a hand-edited value of
+// the wrong type (tags as a string, quantity as text) cannot break rendering
+function sanitizeMeta(meta) {
+    const source = meta && typeof meta === 'object' ? meta : {};
+    const text = value => typeof value === 'string' ? value : (typeof value === 'number' ? String(value) : '');
+    const quantity = typeof source.quantity === 'number' ? source.quantity : parseFloat(source.quantity);
+    const custom = {};
+
+    if (source.custom && typeof source.custom === 'object' && !Array.isArray(source.custom)) {
+        Object.entries(source.custom).forEach(([id, value]) => {
+            if (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value))) custom[id] = value;
+        });
+    }
+
+    return {
+        ...createEmptyMeta(),
+        bin: text(source.bin),
+        quantity: Number.isFinite(quantity) ? quantity : null,
+        condition: text(source.condition),
+        tags: parseTags(Array.isArray(source.tags) ? source.tags.map(text).join(',') : text(source.tags)),
+        note: text(source.note),
+        photo: isImageDataUrl(source.photo) ? source.photo : null,
+        custom
+    };
+}
+
+function isImageDataUrl(value) {
+    return typeof value === 'string' && /^data:image\/(?:jpeg|png|webp|gif);base64,/.test(value);
+}
+
+// Text the history search box matches against
+function getMetaSearchText(meta) {
+    if (!meta) return '';
+    return [
+        meta.bin,
+        meta.condition,
+        meta.note,
+        ...(meta.tags || []),
+        ...Object.values(meta.custom || {})
+    ].filter(value => value !== null && value !== undefined && value !== '').join(' ');
+}
+
+function hasMeta(meta) {
+    return Boolean(meta && (meta.bin || meta.quantity !== null || meta.condition || meta.note || meta.photo ||
+        (meta.tags || []).length > 0 || Object.values(meta.custom || {}).some(value => value !== '' && value !== null)));
+}
+
+// Shrink a photo to at most maxSize px on its long edge as a JPEG data URL
+function resizePhoto(file, maxSize = 1024) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        image.onload = () => {
+            const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/jpeg', 0.8));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not read the photo'));
+        };
+
+        image.src = url;
+    });
+}
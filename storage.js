@@ -0,0 +1,78 @@
+// IndexedDB access shared by everything that outgrows localStorage. All
+// object stores are declared in SCANNER_DB_STORES and created on upgrade, so
+// adding a store means adding it here and bumping SCANNER_DB_VERSION. Data
+// migrations run from SCANNER_DB_MIGRATIONS, keyed by the version they bring
+// the database up to.
+
+const SCANNER_DB_NAME = 'barcodeScanner';
+const SCANNER_DB_VERSION = 3;
+
+const SCANNER_DB_STORES = {
+    products: { keyPath: 'code' },
+    lookupQueue: { keyPath: 'lookupCode' },
+    history: { keyPath: 'id', indexes: { timestamp: 'timestamp' } },
+    outbox: { keyPath: 'id' }
+};
+
+const SCANNER_DB_MIGRATIONS = {
+    2: transaction => migrateLocalStorageHistory(transaction)
+};
+
+let scannerDatabase = null;
+
+function openScannerDatabase() {
+    if (scannerDatabase) return scannerDatabase;
+
+    scannerDatabase = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+
+        const request = indexedDB.open(SCANNER_DB_NAME, SCANNER_DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            Object.entries(SCANNER_DB_STORES).forEach(([name, { indexes = {}, ...options }]) => {
+                if (!db.objectStoreNames.contains(name)) {
+                    const store = db.createObjectStore(name, options);
+                    Object.entries(indexes).forEach(([indexName, keyPath]) => store.createIndex(indexName, keyPath));
+                }
+            });
+
+            Object.keys(SCANNER_DB_MIGRATIONS)
+                .map(Number)
+                .filter(version => version > event.oldVersion)
+                .sort((a, b) => a - b)
+                .forEach(version => SCANNER_DB_MIGRATIONS[version](request.transaction));
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Step aside when another tab opens a newer version
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again (e.g. after private browsing blocked the first open)
+    scannerDatabase.catch(() => {
+        scannerDatabase = null;
+    });
+
+    return scannerDatabase;
+}
+
+// Run `callback(store)` in a transaction; resolves with the result of the
+// IDBRequest it returns once the transaction has committed
+async function withStore(storeName, mode, callback) {
+    const db = await openScannerDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
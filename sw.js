@@ -0,0 +1,78 @@
+// Service worker - precaches the app shell and the pinned decoder so scanning
+// works with no network. Bump CACHE_VERSION whenever a precached file changes;
+// the new worker then waits until the page accepts the update prompt.
+
+const CACHE_VERSION = 'scanner-v14';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'decoders.js',
+    'decoder-worker.js',
+    'preprocess.js',
+    'validation.js',
+    'confirmation-policy.js',
+    'gs1.js',
+    'qr-payload.js',
+    'link-safety.js',
+    'product-providers.js',
+    'storage.js',
+    'product-cache.js',
+    'history-store.js',
+    'scan-metadata.js',
+    'history-view.js',
+    'history-export.js',
+    'webhook.js',
+    'generator.js',
+    'image-decoder.js',
+    'keyboard-wedge.js',
+    'vendor/zxing-library-0.23.0.min.js',
+    'vendor/pdfjs-dist-3.11.174.min.js',
+    'vendor/pdfjs-dist-3.11.174.worker.min.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Product APIs, images and links go straight to the network; the app
+    // handles their failures itself (product cache and lookup queue)
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});
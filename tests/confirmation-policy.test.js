@@ -0,0 +1,70 @@
+// node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ConfirmationTracker, getRequiredReads, normalizeConfirmationPolicy } = require('../confirmation-policy.js');
+
+// Feeds one decoded frame per entry; `null` is a frame the code was missed in
+function runFrames(tracker, frames, code = '4006381333931', format = 'EAN-13') {
+    let result;
+    frames.forEach((read, index) => {
+        const now = index * 100;
+        tracker.startFrame(now);
+        if (read) result = tracker.addRead(code, format, now);
+    });
+    return result;
+}
+
+test('matches confirms once the required reads fall inside the window', () => {
+    const tracker = new ConfirmationTracker({ strategy: 'matches', requiredMatches: 3, timeWindow: 1000 });
+
+    assert.deepStrictEqual(runFrames(tracker, [true, true]), { confirmed: false, count: 2, required: 3 });
+    tracker.startFrame(250);
+    assert.strictEqual(tracker.addRead('4006381333931', 'EAN-13', 250).confirmed, true);
+    // Reads older than the window no longer count
+    tracker.startFrame(5000);
+    assert.strictEqual(tracker.addRead('4006381333931', 'EAN-13', 5000).count, 1);
+});
+
+test('majority needs the code in most of the last voteFrames frames', () => {
+    const policy = { strategy: 'majority', voteFrames: 5, timeWindow: 60000 };
+
+    assert.strictEqual(getRequiredReads(normalizeConfirmationPolicy(policy), 'EAN-13'), 3);
+    assert.strictEqual(runFrames(new ConfirmationTracker(policy), [true, null, true, null, true]).confirmed, true);
+    // Two hits in a five-frame window are outvoted by the misses
+    assert.strictEqual(runFrames(new ConfirmationTracker(policy), [true, null, null, null, true, null, true]).confirmed, false);
+});
+
+test('several results for one code in a frame are a single vote', () => {
+    const tracker = new ConfirmationTracker({ strategy: 'majority', voteFrames: 5 });
+    tracker.startFrame(0);
+    tracker.addRead('A', 'QR Code', 0);
+
+    assert.strictEqual(tracker.addRead('A', 'QR Code', 0).count, 1);
+});
+
+test('per-format overrides replace the threshold, capped at voteFrames', () => {
+    const matches = normalizeConfirmationPolicy({ requiredMatches: 2, overrides: { 'QR Code': 1, 'Code-39': 4 } });
+    const majority = normalizeConfirmationPolicy({ strategy: 'majority', voteFrames: 3, overrides: { 'Code-39': 5 } });
+
+    assert.strictEqual(getRequiredReads(matches, 'QR Code'), 1);
+    assert.strictEqual(getRequiredReads(matches, 'Code-39'), 4);
+    assert.strictEqual(getRequiredReads(matches, 'EAN-13'), 2);
+    assert.strictEqual(getRequiredReads(majority, 'Code-39'), 3);
+});
+
+test('reset and forget clear earlier reads', () => {
+    const tracker = new ConfirmationTracker({ requiredMatches: 2 });
+    tracker.startFrame(0);
+    tracker.addRead('A', 'QR Code', 0);
+    tracker.addRead('B', 'QR Code', 0);
+
+    tracker.forget('A');
+    assert.strictEqual(tracker.evaluate('A', 'QR Code').count, 0);
+    assert.strictEqual(tracker.evaluate('B', 'QR Code').count, 1);
+
+    tracker.reset();
+    assert.strictEqual(tracker.evaluate('B', 'QR Code').count, 0);
+    tracker.startFrame(100);
+    assert.strictEqual(tracker.addRead('B', 'QR Code', 100).confirmed, false);
+});
@@ -0,0 +1,64 @@
+// Local endpoint for trying out the webhook settings. Logs every POSTed
+// payload and answers with CORS headers so the app can call it from another
+// origin. FAIL_RATE makes a share of requests answer 503 to exercise the
+// retry outbox.
+//
+//   node tools/mock-webhook-server.js
+//   PORT=9000 FAIL_RATE=0.5 node tools/mock-webhook-server.js
+//
+// Then set the webhook endpoint in Settings to http://localhost:8787/scans
+
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE) || 0;
+
+let received = 0;
+
+const server = http.createServer((request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    // The '*' wildcard never covers Authorization, so echo what the preflight asks for
+    response.setHeader('Access-Control-Allow-Headers', request.headers['access-control-request-headers'] || 'Authorization, Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+
+    if (request.method !== 'POST') {
+        response.writeHead(405);
+        response.end();
+        return;
+    }
+
+    let body = '';
+    request.on('data', chunk => {
+        body += chunk;
+    });
+    request.on('end', () => {
+        if (Math.random() < FAIL_RATE) {
+            console.log(`${new Date().toISOString()} ${request.url} -> 503 (simulated failure)`);
+            response.writeHead(503);
+            response.end();
+            return;
+        }
+
+        received++;
+        console.log(`${new Date().toISOString()} ${request.url} #${received}`);
+        console.log('  authorization:', request.headers.authorization || '(none)');
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (error) {
+            console.log('  invalid JSON:', body);
+        }
+
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ ok: true, received }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock webhook listening on http://localhost:${PORT} (fail rate ${FAIL_RATE})`);
+});
@@ -0,0 +1,157 @@
+// Check-digit and structural validation for retail symbologies.
+// validateBarcode() takes the canonical format names from decoders.js and
+// returns { valid, error, gtin } where `gtin` is the 14-digit normalised GTIN
+// for GTIN-carrying codes (UPC-E is expanded to UPC-A first) and null otherwise.
+
+const CODE39_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+
+const GTIN_LENGTHS = {
+    'UPC-A': [12],
+    'EAN-13': [13],
+    'EAN-8': [8]
+};
+
+function calculateGTINCheckDigit(digits) {
+    // Weights alternate 3,1,3,... starting from the digit next to the check digit
+    let sum = 0;
+    for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+        sum += parseInt(digits[i], 10) * weight;
+    }
+    return String((10 - (sum % 10)) % 10);
+}
+
+function isValidGTIN(code) {
+    if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(code)) return false;
+    return calculateGTINCheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+function toGTIN14(code) {
+    return code.padStart(14, '0');
+}
+
+function expandUPCE(code) {
+    let numberSystem = '0';
+    let body;
+    let checkDigit = null;
+
+    if (/^\d{6}$/.test(code)) {
+        body = code;
+    } else if (/^[01]\d{6}$/.test(code)) {
+        numberSystem = code[0];
+        body = code.slice(1);
+    } else if (/^[01]\d{7}$/.test(code)) {
+        numberSystem = code[0];
+        body = code.slice(1, 7);
+        checkDigit = code[7];
+    } else {
+        return null;
+    }
+
+    const [d1, d2, d3, d4, d5, d6] = body;
+    let payload;
+
+    switch (d6) {
+        case '0':
+        case '1':
+        case '2':
+            payload = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+            break;
+        case '3':
+            payload = `${d1}${d2}${d3}00000${d4}${d5}`;
+            break;
+        case '4':
+            payload = `${d1}${d2}${d3}${d4}00000${d5}`;
+            break;
+        default:
+            payload = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+    }
+
+    const upcA = `${numberSystem}${payload}`;
+    const expectedCheck = calculateGTINCheckDigit(upcA);
+
+    return {
+        upcA: upcA + expectedCheck,
+        checkValid: checkDigit === null || checkDigit === expectedCheck
+    };
+}
+
+function calculateCode39Mod43(data) {
+    let sum = 0;
+    for (const char of data) {
+        const value = CODE39_CHARSET.indexOf(char);
+        if (value < 0) return null;
+        sum += value;
+    }
+    return CODE39_CHARSET[sum % 43];
+}
+
+function validateGTINLength(code, format, lengths) {
+    if (!/^\d+$/.test(code)) {
+        return { valid: false, error: `${format} codes contain digits only`, gtin: null };
+    }
+    if (!lengths.includes(code.length)) {
+        return { valid: false, error: `${format} codes are ${lengths.join(' or ')} digits long`, gtin: null };
+    }
+    if (!isValidGTIN(code)) {
+        const expected = calculateGTINCheckDigit(code.slice(0, -1));
+        return { valid: false, error: `Invalid check digit (expected ${expected})`, gtin: null };
+    }
+    return { valid: true, error: null, gtin: toGTIN14(code) };
+}
+
+function validateBarcode(code, format, options = {}) {
+    const value = (code || '').trim();
+
+    if (!value) {
+        return { valid: false, error: 'Code is empty', gtin: null };
+    }
+
+    if (GTIN_LENGTHS[format]) {
+        return validateGTINLength(value, format, GTIN_LENGTHS[format]);
+    }
+
+    switch (format) {
+        case 'UPC-E': {
+            const expanded = expandUPCE(value);
+            if (!expanded) {
+                return { valid: false, error: 'UPC-E codes are 6-8 digits starting with 0 or 1', gtin: null };
+            }
+            if (!expanded.checkValid) {
+                return { valid: false, error: `Invalid check digit (expected ${expanded.upcA.slice(-1)})`, gtin: null };
+            }
+            return { valid: true, error: null, gtin: toGTIN14(expanded.upcA) };
+        }
+
+        case 'ITF':
+            if (!/^\d+$/.test(value) || value.length % 2 !== 0) {
+                return { valid: false, error: 'ITF codes contain an even number of digits', gtin: null };
+            }
+            // ITF-14 carries a GTIN-14 with its own check digit
+            if (value.length === 14) {
+                return validateGTINLength(value, 'ITF-14', [14]);
+            }
+            return { valid: true, error: null, gtin: null };
+
+        case 'Code-39': {
+            if (!options.code39CheckDigit) {
+                return { valid: true, error: null, gtin: null };
+            }
+            const expected = calculateCode39Mod43(value.slice(0, -1));
+            if (expected === null || expected !== value.slice(-1)) {
+                return { valid: false, error: 'Invalid Code-39 mod 43 check character', gtin: null };
+            }
+            return { valid: true, error: null, gtin: null };
+        }
+
+        case 'unknown':
+        case 'Unknown':
+            // Manual entry without a format - validate anything that looks like a GTIN
+            if (/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(value)) {
+                return validateGTINLength(value, 'GTIN', [8, 12, 13, 14]);
+            }
+            return { valid: true, error: null, gtin: null };
+
+        default:
+            return { valid: true, error: null, gtin: null };
+    }
+}
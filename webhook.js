@@ -0,0 +1,225 @@
+// Push scans to a user-configured REST endpoint. Deliveries are written to a
+// persistent outbox (IndexedDB store "outbox") before the first attempt and
+// retried with exponential backoff, so scans made offline go out later.
+// WebhookDispatcher reads the endpoint and headers at send time via
+// getConfig() so fixing a bad URL also fixes deliveries already queued.
+
+const WEBHOOK_RETRY_BASE = 2000;
+const WEBHOOK_RETRY_MAX = 10 * 60 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = 12;
+const WEBHOOK_TIMEOUT = 15000;
+const WEBHOOK_LOG_SIZE = 20;
+
+// "Name: value" per line
+function parseWebhookHeaders(text) {
+    const headers = {};
+    (text || '').split(/\r?\n/).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon <= 0) return;
+        const name = line.slice(0, colon).trim();
+        if (name) headers[name] = line.slice(colon + 1).trim();
+    });
+    return headers;
+}
+
+// What gets sent when no template is configured; photos and thumbnails stay local
+function createWebhookPayload(event, entry) {
+    const { photo, ...meta } = entry.meta || {};
+
+    return {
+        event,
+        id: entry.id,
+        code: entry.code,
+        format: entry.format,
+        timestamp: entry.timestamp,
+        gtin: entry.gtin || null,
+        product: entry.product || null,
+        brand: entry.productData?.brand || null,
+        gs1: entry.gs1 || null,
+        payload: entry.payload || null,
+        location: entry.location || null,
+        meta,
+        custom: meta.custom || {},
+        items: entry.items || undefined
+    };
+}
+
+function getTemplateValue(context, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+// The template is JSON whose strings may contain {{path}} placeholders into
+// the default payload. A string that is only a placeholder takes the raw
+// value (numbers, objects); mixed text is interpolated.
+function renderWebhookTemplate(template, context) {
+    if (!template || !template.trim()) return context;
+
+    const render = node => {
+        if (typeof node === 'string') {
+            const whole = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(node);
+            if (whole) {
+                const value = getTemplateValue(context, whole[1]);
+                return value === undefined ? null : value;
+            }
+            return node.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+                const value = getTemplateValue(context, path);
+                if (value === undefined || value === null) return '';
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+            });
+        }
+        if (Array.isArray(node)) return node.map(render);
+        if (node && typeof node === 'object') {
+            return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, render(value)]));
+        }
+        return node;
+    };
+
+    return render(JSON.parse(template));
+}
+
+function getRetryDelay(attempts) {
+    // Full jitter keeps a fleet of devices from retrying in lock-step
+    const ceiling = Math.min(WEBHOOK_RETRY_MAX, WEBHOOK_RETRY_BASE * Math.pow(2, attempts - 1));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+class WebhookDispatcher {
+    constructor(getConfig, onChange = () => {}) {
+        this.getConfig = getConfig;
+        this.onChange = onChange;
+        this.log = [];
+        this.pending = 0;
+        this.flushing = false;
+        this.queuedFlush = null;
+        this.timer = null;
+    }
+
+    async enqueue(event, body) {
+        const delivery = {
+            id: createHistoryId(),
+            event,
+            body: JSON.stringify(body),
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            createdAt: new Date().toISOString(),
+            lastError: null
+        };
+
+        try {
+            await withStore('outbox', 'readwrite', store => store.put(delivery));
+        } catch (error) {
+            console.warn('Could not write to webhook outbox:', error);
+            this.record(delivery, 'error', 'Outbox unavailable - not sent');
+            return;
+        }
+
+        this.flush();
+    }
+
+    // `force` ignores the backoff schedule, e.g. after the endpoint was edited
+    async flush({ force = false } = {}) {
+        if (this.flushing) {
+            // Run again when the current pass ends, keeping any requested force
+            this.queuedFlush = { force: force || Boolean(this.queuedFlush?.force) };
+            return;
+        }
+        this.flushing = true;
+        clearTimeout(this.timer);
+
+        try {
+            const deliveries = (await withStore('outbox', 'readonly', store => store.getAll())) || [];
+            this.pending = deliveries.length;
+
+            // Offline or no endpoint yet: leave everything queued
+            if (this.canSend()) {
+                for (const delivery of deliveries.sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+                    if (force || delivery.nextAttemptAt <= Date.now()) {
+                        await this.send(delivery);
+                    }
+                }
+            }
+
+            const remaining = (await withStore('outbox', 'readonly', store => store.getAll())) || [];
+            this.pending = remaining.length;
+            this.scheduleNext(remaining);
+        } catch (error) {
+            console.warn('Webhook flush failed:', error);
+        } finally {
+            this.flushing = false;
+            this.onChange();
+        }
+
+        if (this.queuedFlush) {
+            const options = this.queuedFlush;
+            this.queuedFlush = null;
+            this.flush(options);
+        }
+    }
+
+    canSend() {
+        return navigator.onLine && Boolean(this.getConfig().url);
+    }
+
+    scheduleNext(deliveries) {
+        if (deliveries.length === 0 || !this.canSend()) return;
+        const next = Math.min(...deliveries.map(delivery => delivery.nextAttemptAt));
+        this.timer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+    }
+
+    async send(delivery) {
+        const config = this.getConfig();
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
+        delivery.attempts++;
+
+        try {
+            const response = await fetch(config.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...config.headers },
+                body: delivery.body,
+                signal: controller.signal
+            });
+
+            if (response.ok) {
+                await withStore('outbox', 'readwrite', store => store.delete(delivery.id));
+                this.record(delivery, 'sent', `HTTP ${response.status}`);
+                return;
+            }
+
+            // Client errors other than timeouts/rate limits will not fix themselves
+            if (response.status >= 400 && response.status < 500 && ![408, 425, 429].includes(response.status)) {
+                await withStore('outbox', 'readwrite', store => store.delete(delivery.id));
+                this.record(delivery, 'error', `HTTP ${response.status} - dropped`);
+                return;
+            }
+
+            delivery.lastError = `HTTP ${response.status}`;
+        } catch (error) {
+            delivery.lastError = error.name === 'AbortError' ? 'Timed out' : error.message;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        await this.retryLater(delivery);
+    }
+
+    async retryLater(delivery) {
+        if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            await withStore('outbox', 'readwrite', store => store.delete(delivery.id));
+            this.record(delivery, 'error', `${delivery.lastError} - gave up after ${delivery.attempts} attempts`);
+            return;
+        }
+
+        const delay = getRetryDelay(delivery.attempts);
+        delivery.nextAttemptAt = Date.now() + delay;
+        await withStore('outbox', 'readwrite', store => store.put(delivery));
+        this.record(delivery, 'retry', `${delivery.lastError} - retry in ${Math.round(delay / 1000)}s`);
+    }
+
+    record(delivery, status, message) {
+        console.log(`Webhook ${delivery.event} ${status}: ${message}`);
+        this.log.unshift({ time: new Date().toISOString(), event: delivery.event, status, message });
+        this.log.length = Math.min(this.log.length, WEBHOOK_LOG_SIZE);
+        this.onChange();
+    }
+}